@@ -0,0 +1,21 @@
+// academy.js
+import { config } from 'dotenv';
+
+config({ path: '.env' });
+
+// Academy-wide settings, overridable per deployment through environment variables
+export const academyConfig = {
+  timezone: process.env.ACADEMY_TIMEZONE || 'Asia/Kolkata',
+  receiptPrefix: process.env.RECEIPT_PREFIX || 'RCPT',
+  phoneCountryCode: process.env.ACADEMY_PHONE_COUNTRY_CODE || '91', // Assumed for numbers without one
+
+  // Details printed on receipts
+  name: process.env.ACADEMY_NAME || 'FIFAC Football Academy',
+  address: process.env.ACADEMY_ADDRESS || '',
+  phone: process.env.ACADEMY_PHONE || '',
+  email: process.env.ACADEMY_EMAIL || '',
+  website: process.env.ACADEMY_WEBSITE || '',
+  gstin: process.env.ACADEMY_GSTIN || '',
+  logoPath: process.env.ACADEMY_LOGO_PATH || '', // Local PNG/JPEG file
+  brandColor: process.env.ACADEMY_BRAND_COLOR || '#0b6e4f'
+};
@@ -0,0 +1,22 @@
+// attendancePolicy.js
+
+// How each attendance status counts towards the attendance percentage:
+//   attended - the session counts and the student was there
+//   missed   - the session counts and the student was not there
+//   excused  - the session is left out of the percentage
+export const STATUS_TREATMENTS = ['attended', 'missed', 'excused'];
+
+// Built-in attendance policy. Admins can change it at runtime through
+// PUT /api/attendance/policy, which stores it in the settings collection.
+export const DEFAULT_ATTENDANCE_POLICY = {
+  // Status -> how it is treated
+  statuses: {
+    present: 'attended',
+    late: 'attended',
+    absent: 'missed',
+    leave: 'excused',
+    excused: 'excused'
+  },
+  // Days with no sessions for any batch: [{ date: 'YYYY-MM-DD', name }]
+  holidays: []
+};
@@ -0,0 +1,18 @@
+// leadPipeline.js
+
+// Built-in lead pipeline. Admins can replace it at runtime through
+// PUT /api/leads/pipeline, which stores it in the settings collection.
+export const DEFAULT_LEAD_PIPELINE = {
+  initialStage: 'New',
+  convertedStage: 'Converted', // Set when a lead is converted into a student
+  stages: ['New', 'Contacted', 'Trial Booked', 'Trial Attended', 'Converted', 'Lost'],
+  // Stage -> stages a lead may move to next
+  transitions: {
+    'New': ['Contacted', 'Lost'],
+    'Contacted': ['Trial Booked', 'Lost'],
+    'Trial Booked': ['Trial Attended', 'Contacted', 'Lost'],
+    'Trial Attended': ['Converted', 'Lost'],
+    'Converted': [],
+    'Lost': ['New', 'Contacted']
+  }
+};
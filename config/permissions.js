@@ -0,0 +1,44 @@
+// permissions.js
+
+// Every permission a route can require
+export const PERMISSIONS = [
+  'leads:read', 'leads:write', 'leads:delete',
+  'students:read', 'students:write', 'students:delete', 'students:ledger',
+  'attendance:read', 'attendance:write', 'attendance:delete',
+  'payments:read', 'payments:create', 'payments:write', 'payments:refund', 'payments:receipt',
+  'feePlans:read', 'feePlans:write',
+  'batches:read', 'batches:write',
+  'reports:read',
+  'users:manage'
+];
+
+const FRONT_DESK_PERMISSIONS = [
+  'leads:read', 'leads:write', 'leads:delete',
+  'students:read', 'students:write', 'students:ledger',
+  'attendance:read',
+  'payments:create', 'payments:receipt',
+  'feePlans:read',
+  'batches:read',
+  'reports:read'
+];
+
+// Built-in role permissions. Admins can override or extend these at runtime
+// through PUT /api/roles/:role, which stores them in the settings collection.
+// '*' grants every permission.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ['*'],
+  coach: [
+    'students:read',
+    'attendance:read', 'attendance:write',
+    'batches:read'
+  ],
+  'front-desk': FRONT_DESK_PERMISSIONS,
+  // Accounts created before roles existed all have the 'staff' role. They get
+  // front-desk access until an admin moves them to another role.
+  staff: FRONT_DESK_PERMISSIONS,
+  accountant: [
+    'students:read', 'students:ledger',
+    'payments:read', 'payments:create', 'payments:write', 'payments:refund', 'payments:receipt',
+    'feePlans:read', 'feePlans:write'
+  ]
+};
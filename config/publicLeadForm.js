@@ -0,0 +1,18 @@
+// publicLeadForm.js
+
+// Settings for the unauthenticated website enquiry form (POST /api/public/leads)
+export const publicLeadFormConfig = {
+  // Comma-separated origins allowed to submit, e.g. 'https://fifac.in,https://www.fifac.in'.
+  // Nothing is accepted until this is set.
+  allowedOrigins: (process.env.PUBLIC_LEAD_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean),
+
+  // Submissions per IP address in each window
+  maxRequestsPerIp: parseInt(process.env.PUBLIC_LEAD_MAX_REQUESTS_PER_IP) || 5,
+  windowMinutes: parseInt(process.env.PUBLIC_LEAD_WINDOW_MINUTES) || 60,
+
+  // Hidden form field that people leave empty and bots fill in
+  honeypotField: process.env.PUBLIC_LEAD_HONEYPOT_FIELD || 'website'
+};
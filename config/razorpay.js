@@ -0,0 +1,117 @@
+// razorpay.js
+import crypto from 'crypto';
+import { config } from 'dotenv';
+
+config({ path: '.env' });
+
+const keyId = process.env.RAZORPAY_KEY_ID;
+const keySecret = process.env.RAZORPAY_KEY_SECRET;
+const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+// Razorpay's REST API. RAZORPAY_API_URL points the client at a stand-in of
+// the API instead, like the stub server the tests run against.
+const apiUrl = (process.env.RAZORPAY_API_URL || 'https://api.razorpay.com').replace(/\/$/, '');
+
+// Give up on a Razorpay call well before the serverless function is stopped
+const requestTimeoutMs = parseInt(process.env.RAZORPAY_TIMEOUT_MS) || 8000;
+
+// Call a Razorpay API endpoint. A rejected request throws an error carrying
+// the HTTP statusCode and Razorpay's error object ({ code, description }).
+// A call that times out throws one with timedOut set and statusCode 504.
+const request = async (method, path, body) => {
+  let response;
+  try {
+    response = await fetch(`${apiUrl}/v1${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(requestTimeoutMs)
+    });
+  } catch (fetchError) {
+    if (fetchError.name !== 'TimeoutError') {
+      throw fetchError;
+    }
+    const error = new Error(`Razorpay did not respond within ${requestTimeoutMs} ms`);
+    error.statusCode = 504;
+    error.timedOut = true;
+    error.error = { description: 'The payment gateway did not respond in time. Please try again.' };
+    throw error;
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error?.description || `Razorpay API responded with ${response.status}`);
+    error.statusCode = response.status;
+    error.error = data.error;
+    throw error;
+  }
+
+  return data;
+};
+
+let razorpay = null;
+
+// Only initialize if the API keys are present
+if (keyId && keySecret) {
+  razorpay = {
+    orders: {
+      create: (order) => request('POST', '/orders', order),
+      fetch: (orderId) => request('GET', `/orders/${encodeURIComponent(orderId)}`)
+    },
+    payments: {
+      refund: (paymentId, refund) => request('POST', `/payments/${encodeURIComponent(paymentId)}/refund`, refund)
+    }
+  };
+} else {
+  console.warn('Razorpay environment variables missing. Online payments are disabled.');
+}
+
+// Constant-time comparison of two hex HMAC signatures
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string') {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Verify the signature returned by Razorpay Checkout after a successful payment
+const verifyCheckoutSignature = (orderId, paymentId, signature) => {
+  if (!keySecret) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', keySecret)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+
+  return signaturesMatch(expected, signature);
+};
+
+// Verify the X-Razorpay-Signature header against the raw webhook body
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!webhookSecret || !rawBody) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  return signaturesMatch(expected, signature);
+};
+
+export { razorpay, keyId as razorpayKeyId, verifyCheckoutSignature, verifyWebhookSignature, signaturesMatch };
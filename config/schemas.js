@@ -0,0 +1,134 @@
+// schemas.js
+import { STATUS_TREATMENTS } from './attendancePolicy.js';
+
+// Fields clients may write on each kind of record. Anything else in a request
+// body (createdAt, status history, search tokens, ...) is dropped by the
+// validateBody middleware. Rules that depend on stored data, like lead
+// pipeline transitions, are checked by the routes.
+
+// How each one counts towards attendance percentages is set by the attendance policy
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'leave', 'late', 'excused'];
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Payment methods that can be recorded at the front desk
+export const MANUAL_PAYMENT_METHODS = ['cash', 'upi', 'bank_transfer', 'cheque', 'card'];
+
+export const FOLLOW_UP_OUTCOMES = ['connected', 'no_answer', 'busy', 'callback_requested', 'not_interested', 'wrong_number'];
+
+export const leadSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'phone', required: true },
+  email: { type: 'email' },
+  source: { type: 'string', maxLength: 100 },
+  status: { type: 'string', maxLength: 100 }, // A stage of the lead pipeline
+  childName: { type: 'string', maxLength: 100 },
+  childAge: { type: 'number', integer: true, min: 1, max: 100 },
+  message: { type: 'string' },
+  notes: { type: 'string' }
+};
+
+// POST /api/leads/:id/follow-ups - Assigned to the logged-in user without assignedTo
+export const followUpSchema = {
+  dueAt: { type: 'date', required: true, label: 'Due time' },
+  assignedTo: { type: 'string', label: 'Assignee' }, // A user ID
+  notes: { type: 'string' }
+};
+
+// POST /api/leads/:id/follow-ups/:followUpId/outcome
+export const followUpOutcomeSchema = {
+  outcome: { type: 'string', required: true, enum: FOLLOW_UP_OUTCOMES },
+  notes: { type: 'string' },
+  status: leadSchema.status
+};
+
+export const studentSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'phone', required: true },
+  email: { type: 'email' },
+  address: { type: 'string' },
+  age: { type: 'number', integer: true, min: 1, max: 100 },
+  level: { type: 'string', maxLength: 100 },
+  batchId: { type: 'string', label: 'Batch' } // The student's name for it is kept in 'batch'
+};
+
+// A training group. Students join through their batchId.
+export const batchSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  coach: { type: 'string', maxLength: 100 },
+  venue: { type: 'string', maxLength: 200 },
+  weekdays: { type: 'array', required: true, items: { type: 'string', enum: WEEKDAYS } },
+  startTime: { type: 'time', required: true },
+  endTime: { type: 'time', required: true },
+  capacity: { type: 'number', required: true, integer: true, min: 1 },
+  minAge: { type: 'number', integer: true, min: 1, max: 100 },
+  maxAge: { type: 'number', integer: true, min: 1, max: 100 },
+  levels: { type: 'array', items: { type: 'string', maxLength: 100 } }
+};
+
+export const attendanceSchema = {
+  studentId: { type: 'string', required: true, label: 'Student ID' },
+  date: { type: 'dateKey', required: true },
+  status: { type: 'string', required: true, enum: ATTENDANCE_STATUSES },
+  notes: { type: 'string' }
+};
+
+// POST /api/attendance/bulk - One batch session. Students of the batch
+// that are not in records are marked absent.
+export const bulkAttendanceSchema = {
+  batchId: { type: 'string', required: true, label: 'Batch' },
+  date: { type: 'dateKey', required: true },
+  records: {
+    type: 'array', // Empty or left out to mark the whole batch absent
+    items: {
+      type: 'object',
+      schema: {
+        studentId: attendanceSchema.studentId,
+        status: attendanceSchema.status,
+        notes: attendanceSchema.notes
+      }
+    }
+  }
+};
+
+// PUT /api/attendance/policy - Statuses left out keep their current treatment
+export const attendancePolicySchema = {
+  statuses: {
+    type: 'object',
+    schema: Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, { type: 'string', enum: STATUS_TREATMENTS }]))
+  },
+  holidays: {
+    type: 'array',
+    items: {
+      type: 'object',
+      schema: {
+        date: { type: 'dateKey', required: true },
+        name: { type: 'string', maxLength: 100 }
+      }
+    }
+  }
+};
+
+export const paymentSchema = {
+  studentId: { type: 'string', required: true, label: 'Student ID' },
+  method: { type: 'string', required: true, enum: MANUAL_PAYMENT_METHODS },
+  referenceNumber: { type: 'string', maxLength: 100 },
+  amount: { type: 'number', required: true, positive: true },
+  periodCovered: { type: 'string', maxLength: 100 },
+  paymentDate: { type: 'date' },
+  collectedBy: { type: 'string', maxLength: 100 },
+  notes: { type: 'string' }
+};
+
+// POST /api/payments/:id/void
+export const voidPaymentSchema = {
+  reason: { type: 'string', required: true }
+};
+
+// POST /api/payments/:id/refunds - Without an amount, whatever is still
+// refundable. refundMethod is how a manual payment was paid back.
+export const refundSchema = {
+  amount: { type: 'number', positive: true },
+  reason: { type: 'string', required: true },
+  refundMethod: { type: 'string', enum: MANUAL_PAYMENT_METHODS }
+};
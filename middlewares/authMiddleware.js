@@ -1,6 +1,9 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { getRolePermissions } from '../models/settingsModels.js';
+import { isSessionActive } from '../models/sessionModels.js';
 
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -13,14 +16,81 @@ export const authenticateToken = (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    req.user = { id: decoded.userId, email: decoded.email, username: decoded.username, ...decoded };
+    // Tokens stay valid only while their login session has not been revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been revoked.'
+      });
+    }
+
+    req.user = { id: decoded.userId, email: decoded.email, username: decoded.username, sessionId: decoded.sid, ...decoded };
     next();
 
   } catch (error) {
+    // Expired access tokens get a 401 so the client knows to refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        error: 'Token expired'
+      });
+    }
+
     console.error('Auth middleware error:', error);
+
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+
     res.status(403).json({
       success: false,
       error: 'Invalid token'
     });
   }
-};
\ No newline at end of file
+};
+
+// Allow the request when the user's role grants any of the given permissions.
+// Must run after authenticateToken.
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const rolePermissions = await getRolePermissions();
+    const granted = rolePermissions[req.user?.role] || [];
+
+    if (granted.includes('*') || permissions.some(permission => granted.includes(permission))) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      error: `Access denied. The '${req.user?.role || 'unknown'}' role does not have the ${permissions.join(' or ')} permission.`
+    });
+
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+// Allow Vercel Cron Jobs, which send the CRON_SECRET environment variable as
+// a bearer token. Refuses every request when CRON_SECRET is not set.
+export const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const token = req.header('Authorization')?.replace('Bearer ', '') || '';
+
+  // Hashing first gives equal-length buffers for the constant-time comparison
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+  if (!secret || !crypto.timingSafeEqual(hash(secret), hash(token))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access denied.'
+    });
+  }
+  next();
+};
@@ -0,0 +1,19 @@
+import { validateSchema } from '../utils/schemaUtils.js';
+
+// Validate req.body against a schema (see config/schemas.js) and replace it
+// with the cleaned, coerced fields. Use partial for updates, where fields
+// that are left out keep their stored value.
+export const validateBody = (schema, { partial = false } = {}) => (req, res, next) => {
+  const { value, errors } = validateSchema(schema, req.body, { partial });
+
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Some fields are invalid.',
+      fields: errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
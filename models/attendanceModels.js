@@ -1,251 +1,87 @@
 import { db } from '../config/firebase.js';
+import { iterateQuery, commitInBatches } from '../utils/firestoreUtils.js';
+import { getDayStartISO, getDateKeysBetween, getMonthDateKeys, getWeekday, getDateKey, toDateKey } from '../utils/dateUtils.js';
+import { getBatchStudents } from './batchModels.js';
+import { getAttendancePolicy } from './settingsModels.js';
 
 const attendanceCollection = db.collection('attendance');
+const studentsCollection = db.collection('students');
+const batchesCollection = db.collection('batches');
 
-// Data Access Layer Functions
+// Firestore error code of a create on an ID that is taken
+const ALREADY_EXISTS = 6;
 
-// 1. GET ATTENDANCE FOR A STUDENT - OPTIMIZED with Better Error Handling
-export const getStudentAttendance = async (studentId, year, month) => {
-  try {
-    console.log(`🔍 Getting attendance for student ${studentId}, year: ${year}, month: ${month}`);
-    
-    const startDate = new Date(year, month - 1, 1).toISOString();
-    const endDate = new Date(year, month, 0, 23, 59, 59).toISOString();
-    
-    console.log(`📅 Date range: ${startDate} to ${endDate}`);
-    
-    // Try OPTIMIZED compound query first
-    try {
-      console.log('🚀 Attempting optimized compound query...');
-      const snapshot = await attendanceCollection
-        .where('studentId', '==', studentId)
-        .where('date', '>=', startDate)
-        .where('date', '<=', endDate)
-        .orderBy('date', 'asc')
-        .get();
-
-      console.log(`✅ Optimized query successful, found ${snapshot.size} records`);
-      
-      if (snapshot.empty) {
-        return [];
-      }
+// A student has at most one attendance record per day, stored under
+// '<studentId>_<YYYY-MM-DD>' (the day in the academy's timezone). Marking
+// writes to that ID, with no lookup first.
+export const getAttendanceId = (studentId, dateKey) => `${studentId}_${dateKey}`;
 
-      // Convert to array - much smaller dataset now
-      const attendance = [];
-      snapshot.forEach(doc => {
-        attendance.push({ 
-          id: doc.id, 
-          ...doc.data() 
-        });
-      });
+// The fields stored for a student's attendance on a day
+export const buildAttendanceRecord = (studentId, dateKey, { status, notes }) => ({
+  studentId,
+  date: getDayStartISO(dateKey),
+  dateKey,
+  status,
+  notes: notes || '',
+  updatedAt: new Date().toISOString()
+});
 
-      return attendance;
-      
-    } catch (indexError) {
-      // Check if it's specifically an index error
-      if (indexError.code === 'failed-precondition' || 
-          indexError.message.includes('index') ||
-          indexError.message.includes('composite')) {
-        console.warn('⚠️ Composite index not found, falling back to client-side filtering');
-        return await getStudentAttendanceFallback(studentId, year, month);
-      } else {
-        // If it's a different error, log it and try fallback anyway
-        console.error('❌ Unexpected error in optimized query:', indexError);
-        console.log('🔄 Attempting fallback method...');
-        return await getStudentAttendanceFallback(studentId, year, month);
-      }
-    }
-
-  } catch (error) {
-    console.error("💥 Critical error in getStudentAttendance model:", error);
-    throw new Error(`Failed to retrieve attendance records: ${error.message}`);
-  }
+// Existing attendance documents of a student on some days, read by ID
+const getAttendanceDocs = async (studentId, dateKeys) => {
+  const refs = dateKeys.map(dateKey => attendanceCollection.doc(getAttendanceId(studentId, dateKey)));
+  const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+  return docs.filter(doc => doc.exists);
 };
 
-// Fallback function for when composite index doesn't exist - Enhanced
-const getStudentAttendanceFallback = async (studentId, year, month) => {
-  try {
-    console.log('🔄 Using fallback method for attendance retrieval...');
-    
-    const startDate = new Date(year, month - 1, 1).toISOString();
-    const endDate = new Date(year, month, 0, 23, 59, 59).toISOString();
-    
-    console.log(`📊 Fallback - fetching all records for student ${studentId}`);
-    
-    const snapshot = await attendanceCollection
-      .where('studentId', '==', studentId)
-      .get();
-
-    console.log(`📦 Fallback - fetched ${snapshot.size} total records`);
+// Data Access Layer Functions
 
-    if (snapshot.empty) {
-      console.log('📭 No records found for student');
-      return [];
-    }
+// 1. GET ATTENDANCE FOR A STUDENT IN A MONTH
+export const getStudentAttendance = async (studentId, year, month) => {
+  try {
+    const docs = await getAttendanceDocs(studentId, getMonthDateKeys(year, month));
 
-    const attendance = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      const docDate = data.date;
-      if (docDate >= startDate && docDate <= endDate) {
-        attendance.push({ 
-          id: doc.id, 
-          ...data 
-        });
-      }
-    });
+    // Read in day order, so already sorted by date
+    return docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
 
-    console.log(`✅ Fallback - filtered to ${attendance.length} records in date range`);
-    return attendance.sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-  } catch (fallbackError) {
-    console.error('💥 Error in fallback method:', fallbackError);
-    throw new Error(`Fallback method failed: ${fallbackError.message}`);
+  } catch (error) {
+    console.error("Error in getStudentAttendance model:", error);
+    throw new Error('Failed to retrieve attendance records.');
   }
 };
 
-// 2. MARK ATTENDANCE - OPTIMIZED with Enhanced Error Handling
-export const markAttendance = async (attendanceData) => {
+// 2. MARK ATTENDANCE - Idempotent, marking the same day again overwrites it
+// date is a 'YYYY-MM-DD' day or a timestamp in it.
+export const markAttendance = async ({ studentId, date, status, notes }) => {
   try {
-    console.log('🎯 Marking attendance for:', attendanceData);
-    
-    // OPTIMIZED: Use precise date range query instead of fetching all records
-    const inputDate = new Date(attendanceData.date);
-    const startOfDay = new Date(inputDate.getFullYear(), inputDate.getMonth(), inputDate.getDate(), 0, 0, 0, 0).toISOString();
-    const endOfDay = new Date(inputDate.getFullYear(), inputDate.getMonth(), inputDate.getDate(), 23, 59, 59, 999).toISOString();
-    
-    console.log(`📅 Date range: ${startOfDay} to ${endOfDay}`);
-    
-    // Try optimized compound query first
+    const dateKey = toDateKey(date);
+    const docRef = attendanceCollection.doc(getAttendanceId(studentId, dateKey));
+    const record = buildAttendanceRecord(studentId, dateKey, { status, notes });
+
+    // Create first so a new record gets its createdAt, without reading
     try {
-      console.log('🚀 Attempting optimized compound query for existing record...');
-      const existingSnapshot = await attendanceCollection
-        .where('studentId', '==', attendanceData.studentId)
-        .where('date', '>=', startOfDay)
-        .where('date', '<=', endOfDay)
-        .limit(1)
-        .get();
-
-      if (!existingSnapshot.empty) {
-        console.log('✏️ Updating existing attendance record');
-        // Update existing record
-        const docId = existingSnapshot.docs[0].id;
-        
-        await attendanceCollection.doc(docId).update({
-          status: attendanceData.status,
-          notes: attendanceData.notes || '',
-          updatedAt: new Date().toISOString()
-        });
-        
-        const updatedDoc = await attendanceCollection.doc(docId).get();
-        console.log('✅ Successfully updated attendance record');
-        return { 
-          id: updatedDoc.id, 
-          ...updatedDoc.data() 
-        };
-      }
-      
-      console.log('📝 No existing record found, will create new one');
-      
-    } catch (indexError) {
-      // Check if it's specifically an index error
-      if (indexError.code === 'failed-precondition' || 
-          indexError.message.includes('index') ||
-          indexError.message.includes('composite')) {
-        console.warn('⚠️ Composite index not found, falling back to client-side filtering for attendance check');
-        return await markAttendanceFallback(attendanceData, startOfDay, endOfDay);
-      } else {
-        // If it's a different error, log it and try fallback anyway
-        console.error('❌ Unexpected error in optimized query:', indexError);
-        console.log('🔄 Attempting fallback method...');
-        return await markAttendanceFallback(attendanceData, startOfDay, endOfDay);
+      const newRecord = { ...record, createdAt: record.updatedAt };
+      await docRef.create(newRecord);
+      return { id: docRef.id, ...newRecord };
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) {
+        throw error;
       }
     }
 
-    // Create new record if none exists
-    console.log('➕ Creating new attendance record');
-    const newRecord = {
-      studentId: attendanceData.studentId,
-      date: new Date(attendanceData.date).toISOString(),
-      status: attendanceData.status,
-      notes: attendanceData.notes || '',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    const docRef = await attendanceCollection.add(newRecord);
-    
-    const newDoc = await docRef.get();
-    console.log('✅ Successfully created new attendance record');
-    return { 
-      id: newDoc.id, 
-      ...newDoc.data() 
+    // Marked before: merged so its createdAt is kept
+    await docRef.set(record, { merge: true });
+
+    return {
+      id: docRef.id,
+      ...record
     };
 
   } catch (error) {
-    console.error('💥 Critical error in markAttendance model:', error);
-    console.error('💥 Error stack:', error.stack);
-    throw new Error(`Failed to mark attendance: ${error.message}`);
-  }
-};
-
-// Fallback function for marking attendance when composite index doesn't exist
-const markAttendanceFallback = async (attendanceData, startOfDay, endOfDay) => {
-  try {
-    console.log('🔄 Using fallback method for marking attendance...');
-    
-    const existingSnapshot = await attendanceCollection
-      .where('studentId', '==', attendanceData.studentId)
-      .get();
-    
-    console.log(`📦 Fallback - fetched ${existingSnapshot.size} total records for student`);
-    
-    const existingRecords = existingSnapshot.docs.filter(doc => {
-      const docDate = doc.data().date;
-      return docDate >= startOfDay && docDate <= endOfDay;
-    });
-
-    if (existingRecords.length > 0) {
-      console.log('✏️ Fallback - updating existing record');
-      const docId = existingRecords[0].id;
-      
-      await attendanceCollection.doc(docId).update({
-        status: attendanceData.status,
-        notes: attendanceData.notes || '',
-        updatedAt: new Date().toISOString()
-      });
-      
-      const updatedDoc = await attendanceCollection.doc(docId).get();
-      console.log('✅ Fallback - successfully updated attendance record');
-      return { 
-        id: updatedDoc.id, 
-        ...updatedDoc.data() 
-      };
-    }
-    
-    // Create new record if none exists
-    console.log('➕ Fallback - creating new attendance record');
-    const newRecord = {
-      studentId: attendanceData.studentId,
-      date: new Date(attendanceData.date).toISOString(),
-      status: attendanceData.status,
-      notes: attendanceData.notes || '',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    const docRef = await attendanceCollection.add(newRecord);
-    
-    const newDoc = await docRef.get();
-    console.log('✅ Fallback - successfully created new attendance record');
-    return { 
-      id: newDoc.id, 
-      ...newDoc.data() 
-    };
-    
-  } catch (fallbackError) {
-    console.error('💥 Error in attendance marking fallback method:', fallbackError);
-    throw new Error(`Fallback method failed: ${fallbackError.message}`);
+    console.error("Error in markAttendance model:", error);
+    throw new Error('Failed to mark attendance.');
   }
 };
 
@@ -271,35 +107,19 @@ export const deleteAttendance = async (id) => {
 // 4. DELETE ATTENDANCE FOR A MONTH
 export const deleteMonthlyAttendance = async (studentId, year, month) => {
   try {
-    const startDate = new Date(year, month - 1, 1).toISOString();
-    const endDate = new Date(year, month, 0, 23, 59, 59).toISOString();
-    
-    // Simplified query to avoid index requirement
-    const snapshot = await attendanceCollection
-      .where('studentId', '==', studentId)
-      .get();
-
-    if (snapshot.empty) {
-      return { deletedCount: 0 };
-    }
-
-    // Filter by date range in JavaScript
-    const docsToDelete = snapshot.docs.filter(doc => {
-      const docDate = doc.data().date;
-      return docDate >= startDate && docDate <= endDate;
-    });
+    const docs = await getAttendanceDocs(studentId, getMonthDateKeys(year, month));
 
-    if (docsToDelete.length === 0) {
+    if (docs.length === 0) {
       return { deletedCount: 0 };
     }
 
     const batch = db.batch();
-    docsToDelete.forEach(doc => {
+    docs.forEach(doc => {
       batch.delete(doc.ref);
     });
 
     await batch.commit();
-    return { deletedCount: docsToDelete.length };
+    return { deletedCount: docs.length };
 
   } catch (error) {
     console.error("Error in deleteMonthlyAttendance model:", error);
@@ -307,26 +127,176 @@ export const deleteMonthlyAttendance = async (studentId, year, month) => {
   }
 };
 
-// 5. GET ATTENDANCE SUMMARY
-export const getAttendanceSummary = async (studentId, year, month) => {
+// 5. GET ATTENDANCE SUMMARY BETWEEN TWO 'YYYY-MM-DD' DAYS
+// The percentage is attended out of the scheduled sessions: days on the
+// student's batch weekdays from the day they joined up to today, without
+// holidays, less the sessions they were excused from. Unmarked sessions count
+// as not attended. Each status counts as attended, missed or excused by the
+// attendance policy.
+// Records on other days (no session scheduled, a holiday, or before joining)
+// are extra sessions, counted in extraSessions but left out of the
+// percentage, so it never goes over 100.
+// Batches keep no schedule history: the batch's current weekdays are applied
+// to the whole range, so changing them changes past summaries too.
+// Returns null when the student does not exist.
+export const getAttendanceSummary = async (studentId, startDate, endDate) => {
   try {
-    const attendance = await getStudentAttendance(studentId, year, month);
-    
-    const totalDays = new Date(year, month, 0).getDate();
-    const presentDays = attendance.filter(record => record.status === 'present').length;
-    const absentDays = attendance.filter(record => record.status === 'absent').length;
-    const leaveDays = attendance.filter(record => record.status === 'leave').length;
-    
+    const studentDoc = await studentsCollection.doc(studentId).get();
+    if (!studentDoc.exists) {
+      return null;
+    }
+
+    const student = studentDoc.data();
+    const [batchDoc, policy] = await Promise.all([
+      student.batchId ? batchesCollection.doc(student.batchId).get() : null,
+      getAttendancePolicy()
+    ]);
+
+    const weekdays = batchDoc?.exists ? batchDoc.data().weekdays || [] : [];
+    const holidays = new Set(policy.holidays.map(holiday => holiday.date));
+    const joinedKey = student.createdAt ? getDateKey(student.createdAt) : startDate;
+    const todayKey = getDateKey();
+    const lastKey = endDate < todayKey ? endDate : todayKey;
+    const dateKeys = startDate <= lastKey ? getDateKeysBetween(startDate, lastKey) : [];
+
+    const docs = await getAttendanceDocs(studentId, dateKeys);
+    const recordsByDay = new Map(docs.map(doc => [doc.data().dateKey, doc.data()]));
+
+    const statuses = Object.fromEntries(Object.keys(policy.statuses).map(status => [status, 0]));
+    const counts = { sessions: 0, holidays: 0, attended: 0, missed: 0, excused: 0, unmarked: 0, extraSessions: 0 };
+
+    dateKeys.forEach(dateKey => {
+      const record = recordsByDay.get(dateKey);
+      const onSchedule = weekdays.includes(getWeekday(dateKey)) && dateKey >= joinedKey;
+
+      if (onSchedule && holidays.has(dateKey)) {
+        counts.holidays++;
+      }
+
+      if (!onSchedule || holidays.has(dateKey)) {
+        if (record) {
+          counts.extraSessions++;
+        }
+        return;
+      }
+
+      counts.sessions++;
+      if (record) {
+        statuses[record.status] = (statuses[record.status] || 0) + 1;
+        counts[policy.statuses[record.status] || 'missed']++;
+      } else {
+        counts.unmarked++;
+      }
+    });
+
+    const counted = counts.sessions - counts.excused;
+
     return {
-      totalDays,
-      present: presentDays,
-      absent: absentDays,
-      leave: leaveDays,
-      percentage: totalDays > 0 ? Math.round((presentDays / totalDays) * 100) : 0
+      studentId,
+      batchId: student.batchId || null,
+      startDate,
+      endDate,
+      ...counts,
+      statuses,
+      percentage: counted > 0 ? Math.round((counts.attended / counted) * 100) : 0
     };
 
   } catch (error) {
     console.error("Error in getAttendanceSummary model:", error);
     throw new Error('Failed to calculate attendance summary.');
   }
-};
\ No newline at end of file
+};
+
+// 6. ITERATE OVER ATTENDANCE RECORDS A PAGE AT A TIME (for exports)
+// Optionally for one student and/or between two days (inclusive, academy
+// timezone), oldest first.
+export const iterateAttendance = ({ studentId, startDate, endDate } = {}) => {
+  let query = attendanceCollection;
+
+  if (studentId) {
+    query = query.where('studentId', '==', studentId);
+  }
+  if (startDate) {
+    query = query.where('dateKey', '>=', toDateKey(startDate));
+  }
+  if (endDate) {
+    query = query.where('dateKey', '<=', toDateKey(endDate));
+  }
+
+  return iterateQuery(query.orderBy('dateKey', 'asc'));
+};
+
+// 7. MARK ATTENDANCE FOR A WHOLE BATCH SESSION
+// records: [{ studentId, status, notes }]. Students of the batch who are not
+// in records are marked absent, unless they already have a record for the
+// day, which is then left as it is. Everything is written in as few batch
+// writes as possible.
+// Returns { batchNotFound: true } or { date, summary, results } with one
+// result per student: created, updated, unchanged or rejected.
+export const markBatchAttendance = async (batchId, date, records) => {
+  try {
+    const roster = await getBatchStudents(batchId);
+    if (!roster) {
+      return { batchNotFound: true };
+    }
+
+    const dateKey = toDateKey(date);
+    const refs = roster.map(student => attendanceCollection.doc(getAttendanceId(student.id, dateKey)));
+    const existingDocs = refs.length > 0 ? await db.getAll(...refs) : [];
+
+    const rosterIds = new Set(roster.map(student => student.id));
+    const recordsByStudent = new Map(records.map(record => [record.studentId, record]));
+    const writes = [];
+    const results = [];
+
+    records.forEach(({ studentId }) => {
+      if (!rosterIds.has(studentId)) {
+        results.push({ studentId, result: 'rejected', error: 'Student is not in this batch.' });
+      }
+    });
+
+    roster.forEach((student, i) => {
+      const record = recordsByStudent.get(student.id);
+      const existing = existingDocs[i];
+
+      if (!record && existing.exists) {
+        results.push({
+          studentId: student.id,
+          studentName: student.name,
+          attendanceId: existing.id,
+          status: existing.data().status,
+          result: 'unchanged'
+        });
+        return;
+      }
+
+      const status = record ? record.status : 'absent';
+      const attendance = buildAttendanceRecord(student.id, dateKey, { status, notes: record?.notes });
+      if (existing.exists) {
+        writes.push(batch => batch.set(refs[i], attendance, { merge: true }));
+      } else {
+        writes.push(batch => batch.set(refs[i], { ...attendance, createdAt: attendance.updatedAt }, { merge: true }));
+      }
+
+      results.push({
+        studentId: student.id,
+        studentName: student.name,
+        attendanceId: refs[i].id,
+        status,
+        result: existing.exists ? 'updated' : 'created',
+        ...(!record && { defaulted: true })
+      });
+    });
+
+    await commitInBatches(writes);
+
+    const summary = { total: results.length, created: 0, updated: 0, unchanged: 0, rejected: 0 };
+    results.forEach(({ result }) => summary[result]++);
+
+    return { date: dateKey, summary, results };
+
+  } catch (error) {
+    console.error("Error in markBatchAttendance model:", error);
+    throw new Error('Failed to mark attendance for the batch.');
+  }
+};
@@ -0,0 +1,268 @@
+import { db } from '../config/firebase.js';
+import { commitInBatches } from '../utils/firestoreUtils.js';
+
+const batchesCollection = db.collection('batches');
+const studentsCollection = db.collection('students');
+const feePlanAssignmentsCollection = db.collection('feePlanAssignments');
+
+// Batch names compared ignoring case and spacing, 'U10  evening' is 'U10 Evening'
+export const normalizeBatchName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Check, inside a transaction, whether another batch already has a name.
+// Reads every batch, so two transactions creating the same name conflict and
+// the second one sees the first one's batch when it retries.
+const isBatchNameTaken = async (transaction, name, exceptId = null) => {
+  const snapshot = await transaction.get(batchesCollection);
+  return snapshot.docs.some(doc =>
+    doc.id !== exceptId && normalizeBatchName(doc.data().name) === normalizeBatchName(name)
+  );
+};
+
+const countStudents = async (batchId) => {
+  const snapshot = await studentsCollection.where('batchId', '==', batchId).count().get();
+  return snapshot.data().count;
+};
+
+// Read, inside a transaction, a batch and how many places it has left.
+// studentId is a student being moved, who does not take a place if they are
+// already in the batch. Only reads, so call it before the transaction's writes.
+// Returns { batch, placesLeft } or { batchNotFound: true }.
+export const getBatchPlacesLeft = async (transaction, batchId, studentId = null) => {
+  const batchDoc = await transaction.get(batchesCollection.doc(batchId));
+  if (!batchDoc.exists) {
+    return { batchNotFound: true };
+  }
+
+  const roster = await transaction.get(studentsCollection.where('batchId', '==', batchId));
+  const taken = roster.docs.filter(doc => doc.id !== studentId).length;
+  const batch = { id: batchDoc.id, ...batchDoc.data() };
+
+  return { batch, placesLeft: batch.capacity - taken };
+};
+
+// Check, inside a student transaction, that a student can join a batch.
+// Same arguments as getBatchPlacesLeft.
+// Returns { batch }, { batchNotFound: true } or { batchFull: true, capacity }.
+export const checkBatchSpace = async (transaction, batchId, studentId = null) => {
+  const space = await getBatchPlacesLeft(transaction, batchId, studentId);
+  if (!space.batch) {
+    return space;
+  }
+
+  if (space.placesLeft <= 0) {
+    return { batchFull: true, capacity: space.batch.capacity };
+  }
+
+  return { batch: space.batch };
+};
+
+// Data Access Layer (Model) Functions
+
+// 1. GET ALL BATCHES - With how many students each has
+export const getBatches = async () => {
+  try {
+    const snapshot = await batchesCollection.orderBy('name', 'asc').get();
+
+    const batches = [];
+    snapshot.forEach(doc => {
+      batches.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    const counts = await Promise.all(batches.map(batch => countStudents(batch.id)));
+
+    return batches.map((batch, i) => ({ ...batch, studentCount: counts[i] }));
+
+  } catch (error) {
+    console.error("Error in getBatches model:", error);
+    throw new Error('Failed to retrieve batches from the database.');
+  }
+};
+
+// 2. GET A SINGLE BATCH BY ID
+export const getBatchById = async (id) => {
+  try {
+    const doc = await batchesCollection.doc(id).get();
+
+    if (!doc.exists) {
+      return null; // Batch not found
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data(),
+      studentCount: await countStudents(id)
+    };
+
+  } catch (error) {
+    console.error("Error in getBatchById model:", error);
+    throw new Error('Failed to retrieve the batch from the database.');
+  }
+};
+
+// 3. CREATE A NEW BATCH
+// Returns { batch } or { nameTaken: true }.
+export const createBatch = async (batchData) => {
+  try {
+    const docRef = batchesCollection.doc();
+
+    return await db.runTransaction(async (transaction) => {
+      if (await isBatchNameTaken(transaction, batchData.name)) {
+        return { nameTaken: true };
+      }
+
+      const newBatch = {
+        ...batchData,
+        createdAt: new Date().toISOString()
+      };
+
+      transaction.set(docRef, newBatch);
+
+      return {
+        batch: {
+          id: docRef.id,
+          ...newBatch
+        }
+      };
+    });
+
+  } catch (error) {
+    console.error("Error in createBatch model:", error);
+    throw new Error('Failed to create a new batch in the database.');
+  }
+};
+
+// 4. UPDATE A BATCH
+// Students keep the batch's name in 'batch' as well, so a rename is copied
+// to them. Fee plan assignments refer to the batch by ID and need no change.
+// Returns { batch }, { notFound: true }, { nameTaken: true } or
+// { capacityTooLow: true, studentCount }.
+export const updateBatch = async (id, updateData) => {
+  try {
+    const docRef = batchesCollection.doc(id);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) {
+        return { notFound: true };
+      }
+
+      const renamed = updateData.name !== undefined && updateData.name !== doc.data().name;
+      if (renamed && await isBatchNameTaken(transaction, updateData.name, id)) {
+        return { nameTaken: true };
+      }
+
+      // Read the roster in the transaction like checkBatchSpace, so a student
+      // joining at the same time cannot overfill the lowered capacity
+      if (updateData.capacity !== undefined) {
+        const roster = await transaction.get(studentsCollection.where('batchId', '==', id));
+        if (updateData.capacity < roster.size) {
+          return { capacityTooLow: true, studentCount: roster.size };
+        }
+      }
+
+      const updatedData = {
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      };
+
+      transaction.update(docRef, updatedData);
+
+      return {
+        renamed,
+        batch: {
+          id,
+          ...doc.data(),
+          ...updatedData
+        }
+      };
+    });
+
+    if (!result.batch) {
+      return result;
+    }
+
+    if (result.renamed) {
+      const students = await studentsCollection.where('batchId', '==', id).get();
+
+      const writes = [];
+      students.forEach(student => {
+        writes.push(batch => batch.update(student.ref, { batch: updateData.name }));
+      });
+      await commitInBatches(writes);
+    }
+
+    return { batch: result.batch };
+
+  } catch (error) {
+    console.error("Error in updateBatch model:", error);
+    throw new Error('Failed to update the batch in the database.');
+  }
+};
+
+// 5. DELETE A BATCH AND ITS FEE PLAN ASSIGNMENTS - Only once no students are left in it
+// Dues already generated from the assignments are kept in the ledger.
+// Returns { deleted: true }, { notFound: true } or { hasStudents: true, studentCount }.
+export const deleteBatch = async (id) => {
+  try {
+    const docRef = batchesCollection.doc(id);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return { notFound: true };
+    }
+
+    const studentCount = await countStudents(id);
+    if (studentCount > 0) {
+      return { hasStudents: true, studentCount };
+    }
+
+    const assignments = await feePlanAssignmentsCollection
+      .where('targetType', '==', 'batch')
+      .where('targetId', '==', id)
+      .get();
+
+    const writes = [];
+    assignments.forEach(assignment => {
+      writes.push(batch => batch.delete(assignment.ref));
+    });
+    writes.push(batch => batch.delete(docRef));
+    await commitInBatches(writes);
+
+    return { deleted: true };
+
+  } catch (error) {
+    console.error("Error in deleteBatch model:", error);
+    throw new Error('Failed to delete the batch from the database.');
+  }
+};
+
+// 6. GET THE STUDENTS OF A BATCH
+// Returns null when the batch does not exist.
+export const getBatchStudents = async (id) => {
+  try {
+    const doc = await batchesCollection.doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const snapshot = await studentsCollection.where('batchId', '==', id).get();
+
+    const students = [];
+    snapshot.forEach(student => {
+      students.push({
+        id: student.id,
+        ...student.data()
+      });
+    });
+
+    // Sorted here, ordering the query by name would need a composite index
+    return students.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+  } catch (error) {
+    console.error("Error in getBatchStudents model:", error);
+    throw new Error('Failed to retrieve the batch students from the database.');
+  }
+};
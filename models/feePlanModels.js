@@ -0,0 +1,226 @@
+import { db } from '../config/firebase.js';
+
+const feePlansCollection = db.collection('feePlans');
+const assignmentsCollection = db.collection('feePlanAssignments');
+
+// Data Access Layer (Model) Functions
+
+// 1. GET ALL FEE PLANS
+export const getFeePlans = async () => {
+  try {
+    const snapshot = await feePlansCollection.orderBy('createdAt', 'desc').get();
+
+    if (snapshot.empty) {
+      return [];
+    }
+
+    const feePlans = [];
+    snapshot.forEach(doc => {
+      feePlans.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return feePlans;
+
+  } catch (error) {
+    console.error("Error in getFeePlans model:", error);
+    throw new Error('Failed to retrieve fee plans from the database.');
+  }
+};
+
+// 2. GET A SINGLE FEE PLAN BY ID
+export const getFeePlanById = async (id) => {
+  try {
+    const doc = await feePlansCollection.doc(id).get();
+
+    if (!doc.exists) {
+      return null; // Fee plan not found
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+
+  } catch (error) {
+    console.error("Error in getFeePlanById model:", error);
+    throw new Error('Failed to retrieve the fee plan from the database.');
+  }
+};
+
+// 3. CREATE A NEW FEE PLAN
+export const createFeePlan = async (feePlanData) => {
+  try {
+    const newFeePlan = {
+      ...feePlanData,
+      active: feePlanData.active !== false,
+      createdAt: new Date().toISOString()
+    };
+
+    const docRef = await feePlansCollection.add(newFeePlan);
+
+    return {
+      id: docRef.id,
+      ...newFeePlan
+    };
+
+  } catch (error) {
+    console.error("Error in createFeePlan model:", error);
+    throw new Error('Failed to create a new fee plan in the database.');
+  }
+};
+
+// 4. UPDATE A FEE PLAN
+export const updateFeePlan = async (id, updateData) => {
+  try {
+    const docRef = feePlansCollection.doc(id);
+
+    const updatedData = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await docRef.update(updatedData);
+
+    return {
+      id: id,
+      ...updatedData
+    };
+
+  } catch (error) {
+    console.error("Error in updateFeePlan model:", error);
+    throw new Error('Failed to update the fee plan in the database.');
+  }
+};
+
+// 5. DELETE A FEE PLAN AND ITS ASSIGNMENTS
+export const deleteFeePlan = async (id) => {
+  try {
+    const docRef = feePlansCollection.doc(id);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return false; // Fee plan not found
+    }
+
+    // Dues already generated from the plan are kept in the ledger
+    const assignments = await assignmentsCollection.where('feePlanId', '==', id).get();
+
+    const batch = db.batch();
+    assignments.forEach(assignment => {
+      batch.delete(assignment.ref);
+    });
+    batch.delete(docRef);
+
+    await batch.commit();
+    return true;
+
+  } catch (error) {
+    console.error("Error in deleteFeePlan model:", error);
+    throw new Error('Failed to delete the fee plan from the database.');
+  }
+};
+
+// 6. ASSIGN A FEE PLAN TO A STUDENT OR A WHOLE BATCH
+export const createFeePlanAssignment = async (assignmentData) => {
+  try {
+    const newAssignment = {
+      ...assignmentData,
+      createdAt: new Date().toISOString()
+    };
+
+    const docRef = await assignmentsCollection.add(newAssignment);
+
+    return {
+      id: docRef.id,
+      ...newAssignment
+    };
+
+  } catch (error) {
+    console.error("Error in createFeePlanAssignment model:", error);
+    throw new Error('Failed to assign the fee plan in the database.');
+  }
+};
+
+// 7. GET ASSIGNMENTS OF A FEE PLAN
+export const getFeePlanAssignments = async (feePlanId) => {
+  try {
+    const snapshot = await assignmentsCollection
+      .where('feePlanId', '==', feePlanId)
+      .get();
+
+    const assignments = [];
+    snapshot.forEach(doc => {
+      assignments.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return assignments;
+
+  } catch (error) {
+    console.error("Error in getFeePlanAssignments model:", error);
+    throw new Error('Failed to retrieve fee plan assignments from the database.');
+  }
+};
+
+// 8. GET ASSIGNMENTS THAT APPLY TO A STUDENT (directly or through their batch)
+export const getAssignmentsForStudent = async (student) => {
+  try {
+    const queries = [
+      assignmentsCollection
+        .where('targetType', '==', 'student')
+        .where('targetId', '==', student.id)
+        .get()
+    ];
+
+    if (student.batchId) {
+      queries.push(
+        assignmentsCollection
+          .where('targetType', '==', 'batch')
+          .where('targetId', '==', student.batchId)
+          .get()
+      );
+    }
+
+    const snapshots = await Promise.all(queries);
+
+    const assignments = [];
+    snapshots.forEach(snapshot => {
+      snapshot.forEach(doc => {
+        assignments.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+    });
+
+    return assignments;
+
+  } catch (error) {
+    console.error("Error in getAssignmentsForStudent model:", error);
+    throw new Error('Failed to retrieve fee plan assignments for the student.');
+  }
+};
+
+// 9. DELETE A FEE PLAN ASSIGNMENT
+export const deleteFeePlanAssignment = async (id) => {
+  try {
+    const docRef = assignmentsCollection.doc(id);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return false; // Assignment not found
+    }
+
+    await docRef.delete();
+    return true;
+
+  } catch (error) {
+    console.error("Error in deleteFeePlanAssignment model:", error);
+    throw new Error('Failed to delete the fee plan assignment from the database.');
+  }
+};
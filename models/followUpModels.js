@@ -0,0 +1,171 @@
+import { db } from '../config/firebase.js';
+import { getDateKey } from '../utils/dateUtils.js';
+
+// Top-level collection so a user's follow-ups can be listed across every lead
+const followUpsCollection = db.collection('leadFollowUps');
+const leadsCollection = db.collection('leads');
+
+// Data Access Layer (Model) Functions
+
+// 1. GET THE OPEN FOLLOW-UPS ASSIGNED TO A USER
+// due: 'today' (due on today's date in the academy timezone), 'overdue'
+// (due time has passed) or undefined for every open follow-up.
+export const getFollowUpsForAssignee = async (userId, due) => {
+  try {
+    const snapshot = await followUpsCollection
+      .where('assignedTo', '==', userId)
+      .where('status', '==', 'open')
+      .orderBy('dueAt', 'asc')
+      .get();
+
+    const now = new Date().toISOString();
+    const today = getDateKey();
+
+    const followUps = [];
+    snapshot.forEach(doc => {
+      const followUp = { id: doc.id, ...doc.data() };
+
+      if (due === 'today' && getDateKey(followUp.dueAt) !== today) return;
+      if (due === 'overdue' && followUp.dueAt >= now) return;
+
+      followUps.push(followUp);
+    });
+
+    // Attach the lead so the caller knows who to call
+    const leadDocs = await Promise.all(
+      followUps.map(followUp => leadsCollection.doc(followUp.leadId).get())
+    );
+
+    return followUps.map((followUp, i) => {
+      const lead = leadDocs[i].exists ? leadDocs[i].data() : null;
+      return {
+        ...followUp,
+        lead: lead ? { id: followUp.leadId, name: lead.name, phone: lead.phone, status: lead.status } : null
+      };
+    });
+
+  } catch (error) {
+    console.error("Error in getFollowUpsForAssignee model:", error);
+    throw new Error('Failed to retrieve follow-ups from the database.');
+  }
+};
+
+// 2. GET ALL FOLLOW-UPS OF A LEAD
+export const getLeadFollowUps = async (leadId) => {
+  try {
+    const snapshot = await followUpsCollection
+      .where('leadId', '==', leadId)
+      .orderBy('dueAt', 'asc')
+      .get();
+
+    const followUps = [];
+    snapshot.forEach(doc => {
+      followUps.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return followUps;
+
+  } catch (error) {
+    console.error("Error in getLeadFollowUps model:", error);
+    throw new Error('Failed to retrieve the lead follow-ups from the database.');
+  }
+};
+
+// 3. CREATE A FOLLOW-UP ON A LEAD
+export const createFollowUp = async (followUpData) => {
+  try {
+    const newFollowUp = {
+      ...followUpData,
+      status: 'open',
+      outcome: null,
+      completedAt: null,
+      createdAt: new Date().toISOString()
+    };
+
+    const docRef = await followUpsCollection.add(newFollowUp);
+
+    return {
+      id: docRef.id,
+      ...newFollowUp
+    };
+
+  } catch (error) {
+    console.error("Error in createFollowUp model:", error);
+    throw new Error('Failed to create the follow-up in the database.');
+  }
+};
+
+// 4. LOG THE OUTCOME OF A FOLLOW-UP - Transactional
+// Closes the follow-up and, when a status is given, moves the lead through
+// the pipeline with the same transition check as a normal lead update.
+// Only convertLeadToStudent moves a lead into the converted stage.
+// Returns { followUp, lead }, { notFound: true }, { alreadyCompleted: true },
+// { conversionRequired: true } or { invalidTransition: true, from, to }.
+export const logFollowUpOutcome = async (leadId, followUpId, { outcome, notes = '', status }, { pipeline, changedBy = null }) => {
+  try {
+    const followUpRef = followUpsCollection.doc(followUpId);
+    const leadRef = leadsCollection.doc(leadId);
+
+    return await db.runTransaction(async (transaction) => {
+      const [followUpDoc, leadDoc] = await Promise.all([
+        transaction.get(followUpRef),
+        transaction.get(leadRef)
+      ]);
+
+      if (!followUpDoc.exists || !leadDoc.exists || followUpDoc.data().leadId !== leadId) {
+        return { notFound: true };
+      }
+
+      if (followUpDoc.data().status !== 'open') {
+        return { alreadyCompleted: true };
+      }
+
+      const now = new Date().toISOString();
+      const from = leadDoc.data().status;
+      let lead = { id: leadId, ...leadDoc.data() };
+
+      if (status !== undefined && status !== from) {
+        if (status === pipeline.convertedStage) {
+          return { conversionRequired: true };
+        }
+
+        const allowed = pipeline.transitions[from] || [];
+        if (!allowed.includes(status)) {
+          return { invalidTransition: true, from, to: status };
+        }
+
+        const leadUpdate = { status, updatedAt: now };
+        transaction.update(leadRef, leadUpdate);
+        transaction.set(leadRef.collection('statusHistory').doc(), {
+          from,
+          to: status,
+          changedBy,
+          note: `Follow-up outcome: ${outcome}`,
+          changedAt: now
+        });
+        lead = { ...lead, ...leadUpdate };
+      }
+
+      const followUpUpdate = {
+        status: 'done',
+        outcome,
+        outcomeNotes: notes,
+        completedAt: now,
+        completedBy: changedBy
+      };
+      transaction.update(followUpRef, followUpUpdate);
+
+      return {
+        followUp: { id: followUpId, ...followUpDoc.data(), ...followUpUpdate },
+        lead
+      };
+    });
+
+  } catch (error) {
+    console.error("Error in logFollowUpOutcome model:", error);
+    throw new Error('Failed to log the follow-up outcome.');
+  }
+};
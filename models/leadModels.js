@@ -1,50 +1,36 @@
 // models/leadModel.js
 import { db } from '../config/firebase.js';
+import { commitInBatches, fillMissingFields, iterateQuery, getPage, applyFilters, isUnsupportedQueryError, IN_QUERY_LIMIT } from '../utils/firestoreUtils.js';
+import { buildSearchTokens } from '../utils/searchUtils.js';
+import { checkBatchSpace } from './batchModels.js';
 
 // Get a reference to the 'leads' collection in Firestore
 // This is like pointing to a specific table in a database
 const leadsCollection = db.collection('leads');
+const studentsCollection = db.collection('students');
 
 // Data Access Layer (Model) Functions
 
-// 1. GET ALL LEADS - OPTIMIZED with pagination
-export const getLeads = async (limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc') => {
+// 1. GET ALL LEADS - Filtered, paginated with a cursor (or an offset)
+// filters are [field, op, value] where clauses.
+// Returns { leads, nextCursor } or { unsupportedQuery: true }.
+export const getLeads = async (limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc', cursor = null, filters = []) => {
   try {
-    // OPTIMIZED: Add pagination and ordering
-    let query = leadsCollection.orderBy(orderBy, orderDirection);
-    
-    if (offset > 0) {
-      // For pagination, limit the results
-      query = query.limit(limit + offset);
-    } else {
-      query = query.limit(limit);
-    }
-    
-    const snapshot = await query.get();
-
-    // If the snapshot is empty, return an empty array
-    if (snapshot.empty) {
-      return [];
-    }
-
-    // Map through the documents and return an array of lead objects
-    const leads = [];
-    let count = 0;
-    
-    snapshot.forEach(doc => {
-      // Skip offset number of records for simple pagination
-      if (count >= offset && leads.length < limit) {
-        leads.push({ 
-          id: doc.id, 
-          ...doc.data() 
-        });
-      }
-      count++;
+    const { items, nextCursor } = await getPage(applyFilters(leadsCollection, filters), {
+      limit,
+      offset,
+      orderBy,
+      orderDirection,
+      cursor
     });
 
-    return leads;
+    return { leads: items, nextCursor };
 
   } catch (error) {
+    if (isUnsupportedQueryError(error)) {
+      console.warn("Unsupported query in getLeads model:", error.message);
+      return { unsupportedQuery: true };
+    }
     console.error("Error in getLeads model:", error);
     throw new Error('Failed to retrieve leads from the database.');
   }
@@ -77,15 +63,29 @@ export const getLeadById = async (id) => {
 };
 
 // 3. CREATE A NEW LEAD
-export const createLead = async (leadData) => {
+export const createLead = async (leadData, createdBy = null) => {
   try {
-    // Add a new document to the 'leads' collection
-    // Firestore will automatically generate a unique ID
-    const docRef = await leadsCollection.add({
+    // Let Firestore generate the ID up front so the lead and its first
+    // status history entry are written together
+    const docRef = leadsCollection.doc();
+    const now = new Date().toISOString();
+    const status = leadData.status || 'New'; // Default status if not provided
+
+    const batch = db.batch();
+    batch.set(docRef, {
       ...leadData,
-      status: leadData.status || 'New', // Default status if not provided
-      createdAt: new Date().toISOString() // Add timestamp
+      status,
+      searchTokens: buildSearchTokens(leadData),
+      createdAt: now // Add timestamp
     });
+    batch.set(docRef.collection('statusHistory').doc(), {
+      from: null,
+      to: status,
+      changedBy: createdBy,
+      note: 'Lead created',
+      changedAt: now
+    });
+    await batch.commit();
     
     // Fetch the newly created document to return the complete data
     const newDoc = await docRef.get();
@@ -103,7 +103,12 @@ export const createLead = async (leadData) => {
 };
 
 // 4. UPDATE A LEAD - OPTIMIZED
-export const updateLead = async (id, updateData) => {
+// A status change is checked against the pipeline's allowed transitions and
+// recorded in the lead's statusHistory subcollection in the same transaction.
+// Only convertLeadToStudent moves a lead into the converted stage.
+// Returns { lead }, { notFound: true }, { conversionRequired: true } or
+// { invalidTransition: true, from, to }.
+export const updateLead = async (id, updateData, { pipeline, changedBy = null, note = '' } = {}) => {
   try {
     const docRef = leadsCollection.doc(id);
     
@@ -112,15 +117,54 @@ export const updateLead = async (id, updateData) => {
       ...updateData,
       updatedAt: new Date().toISOString()
     };
-    
-    // Update the document with the new data
-    await docRef.update(updatedData);
-    
-    // OPTIMIZED: Return constructed object instead of fetching again
-    return { 
-      id: id,
-      ...updatedData
-    };
+
+    const changesSearchTokens = updateData.name !== undefined || updateData.phone !== undefined;
+
+    // OPTIMIZED: Plain field updates skip the transaction
+    if (updateData.status === undefined && !changesSearchTokens) {
+      await docRef.update(updatedData);
+      return { lead: { id: id, ...updatedData } };
+    }
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        return { notFound: true };
+      }
+
+      // Search tokens cover name and phone, so changing either needs the other
+      if (changesSearchTokens) {
+        updatedData.searchTokens = buildSearchTokens({ ...doc.data(), ...updateData });
+      }
+
+      const from = doc.data().status;
+      const to = updateData.status;
+
+      if (to !== undefined && from !== to) {
+        if (to === pipeline?.convertedStage) {
+          return { conversionRequired: true };
+        }
+
+        const allowed = pipeline?.transitions?.[from] || [];
+        if (!allowed.includes(to)) {
+          return { invalidTransition: true, from, to };
+        }
+
+        transaction.set(docRef.collection('statusHistory').doc(), {
+          from,
+          to,
+          changedBy,
+          note,
+          changedAt: updatedData.updatedAt
+        });
+      }
+
+      transaction.update(docRef, updatedData);
+
+      // OPTIMIZED: Return constructed object instead of fetching again
+      return { lead: { id: id, ...updatedData } };
+    });
 
   } catch (error) {
     console.error("Error in updateLead model:", error);
@@ -147,4 +191,327 @@ export const deleteLead = async (id) => {
     console.error("Error in deleteLead model:", error);
     throw new Error('Failed to delete the lead from the database.');
   }
-};
\ No newline at end of file
+};
+
+// 6. GET THE STATUS HISTORY OF A LEAD
+export const getLeadStatusHistory = async (id) => {
+  try {
+    const snapshot = await leadsCollection
+      .doc(id)
+      .collection('statusHistory')
+      .orderBy('changedAt', 'asc')
+      .get();
+
+    const history = [];
+    snapshot.forEach(doc => {
+      history.push({ 
+        id: doc.id, 
+        ...doc.data() 
+      });
+    });
+
+    return history;
+
+  } catch (error) {
+    console.error("Error in getLeadStatusHistory model:", error);
+    throw new Error('Failed to retrieve the lead status history from the database.');
+  }
+};
+
+// 7. CONVERT A LEAD INTO A STUDENT - Transactional
+// Creates the student, marks the lead converted, links both records and
+// records the status change, all or nothing. Conversion is an explicit action,
+// so it is allowed from any stage except the converted stage itself.
+// Returns { student, lead }, { notFound: true }, { alreadyConverted: true, studentId },
+// { batchNotFound: true } or { batchFull: true, capacity }.
+export const convertLeadToStudent = async (id, studentData, { pipeline, changedBy = null }) => {
+  try {
+    const leadRef = leadsCollection.doc(id);
+    const studentRef = studentsCollection.doc();
+
+    return await db.runTransaction(async (transaction) => {
+      const leadDoc = await transaction.get(leadRef);
+
+      if (!leadDoc.exists) {
+        return { notFound: true };
+      }
+
+      const lead = leadDoc.data();
+      const convertedStage = pipeline.convertedStage;
+
+      if (lead.studentId) {
+        return { alreadyConverted: true, studentId: lead.studentId };
+      }
+
+      const now = new Date().toISOString();
+      const newStudent = {
+        name: lead.name,
+        phone: lead.phone,
+        ...studentData,
+        leadId: id,
+        createdAt: now
+      };
+      newStudent.searchTokens = buildSearchTokens(newStudent);
+
+      if (studentData.batchId) {
+        const space = await checkBatchSpace(transaction, studentData.batchId);
+        if (!space.batch) {
+          return space;
+        }
+        newStudent.batch = space.batch.name;
+      }
+
+      const leadUpdate = {
+        status: convertedStage,
+        studentId: studentRef.id,
+        convertedAt: now,
+        updatedAt: now
+      };
+
+      transaction.set(studentRef, newStudent);
+      transaction.update(leadRef, leadUpdate);
+      transaction.set(leadRef.collection('statusHistory').doc(), {
+        from: lead.status || null,
+        to: convertedStage,
+        changedBy,
+        note: 'Converted to student',
+        changedAt: now
+      });
+
+      return {
+        student: { id: studentRef.id, ...newStudent },
+        lead: { id, ...lead, ...leadUpdate }
+      };
+    });
+
+  } catch (error) {
+    console.error("Error in convertLeadToStudent model:", error);
+    throw new Error('Failed to convert the lead into a student.');
+  }
+};
+
+// 8. FIND LEADS WITH A PHONE NUMBER (phone must already be normalized)
+export const findLeadsByPhone = async (phone) => {
+  try {
+    const snapshot = await leadsCollection.where('phone', '==', phone).get();
+
+    const leads = [];
+    snapshot.forEach(doc => {
+      leads.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return leads;
+
+  } catch (error) {
+    console.error("Error in findLeadsByPhone model:", error);
+    throw new Error('Failed to search leads by phone number.');
+  }
+};
+
+// 9. MERGE A DUPLICATE LEAD INTO ANOTHER
+// Moves the duplicate's follow-ups, status history and enquiries to the primary lead,
+// fills the primary's missing fields (including a converted student link)
+// and deletes the duplicate. Two leads converted into different students
+// cannot be merged, the students have to be merged first. A primary that takes
+// over the duplicate's student link moves into the converted stage with it.
+// Returns { lead, repointed }, { notFound: true } or { conflict: true }.
+export const mergeLeads = async (primaryId, duplicateId, { pipeline, changedBy = null }) => {
+  try {
+    const primaryRef = leadsCollection.doc(primaryId);
+    const duplicateRef = leadsCollection.doc(duplicateId);
+
+    const [primaryDoc, duplicateDoc] = await Promise.all([primaryRef.get(), duplicateRef.get()]);
+    if (!primaryDoc.exists || !duplicateDoc.exists) {
+      return { notFound: true };
+    }
+
+    const primary = primaryDoc.data();
+    const { createdAt, status, mergedFrom, searchTokens, ...duplicate } = duplicateDoc.data();
+
+    if (primary.studentId && duplicate.studentId && primary.studentId !== duplicate.studentId) {
+      return { conflict: true };
+    }
+
+    const [followUps, history, enquiries, students] = await Promise.all([
+      db.collection('leadFollowUps').where('leadId', '==', duplicateId).get(),
+      duplicateRef.collection('statusHistory').get(),
+      duplicateRef.collection('enquiries').get(),
+      studentsCollection.where('leadId', '==', duplicateId).get()
+    ]);
+
+    const writes = [];
+    followUps.forEach(doc => writes.push(batch => batch.update(doc.ref, { leadId: primaryId })));
+    students.forEach(doc => writes.push(batch => batch.update(doc.ref, { leadId: primaryId })));
+
+    // History and enquiries keep their IDs, so moving them again after a
+    // failed batch is harmless
+    [['statusHistory', history], ['enquiries', enquiries]].forEach(([name, snapshot]) => {
+      snapshot.forEach(doc => {
+        writes.push(batch => batch.set(primaryRef.collection(name).doc(doc.id), {
+          ...doc.data(),
+          mergedFromLeadId: duplicateId
+        }));
+        writes.push(batch => batch.delete(doc.ref));
+      });
+    });
+
+    const now = new Date().toISOString();
+    const filledFields = fillMissingFields(primary, duplicate);
+    const primaryUpdate = {
+      ...filledFields,
+      searchTokens: buildSearchTokens({ ...primary, ...filledFields }),
+      mergedFrom: [...(primary.mergedFrom || []), duplicateId],
+      mergedBy: changedBy?.id || null,
+      updatedAt: now
+    };
+
+    // Only convertLeadToStudent sets a student link, so a lead that gains one
+    // here must be in the converted stage like a converted lead
+    if (filledFields.studentId && primary.status !== pipeline.convertedStage) {
+      primaryUpdate.status = pipeline.convertedStage;
+      writes.push(batch => batch.set(primaryRef.collection('statusHistory').doc(), {
+        from: primary.status || null,
+        to: pipeline.convertedStage,
+        changedBy,
+        note: `Merged with converted lead ${duplicateId}`,
+        changedAt: now
+      }));
+    }
+
+    writes.push(batch => batch.update(primaryRef, primaryUpdate));
+    writes.push(batch => batch.delete(duplicateRef));
+
+    await commitInBatches(writes);
+
+    return {
+      lead: { id: primaryId, ...primary, ...primaryUpdate },
+      repointed: {
+        followUps: followUps.size,
+        statusHistory: history.size,
+        enquiries: enquiries.size,
+        students: students.size
+      }
+    };
+
+  } catch (error) {
+    console.error("Error in mergeLeads model:", error);
+    throw new Error('Failed to merge the leads.');
+  }
+};
+
+// 10. FIND LEADS FOR SEVERAL PHONE NUMBERS
+// Returns a Map of phone -> the first lead with that phone.
+export const findLeadsByPhones = async (phones) => {
+  try {
+    const leadsByPhone = new Map();
+
+    for (let i = 0; i < phones.length; i += IN_QUERY_LIMIT) {
+      const snapshot = await leadsCollection
+        .where('phone', 'in', phones.slice(i, i + IN_QUERY_LIMIT))
+        .get();
+
+      snapshot.forEach(doc => {
+        if (!leadsByPhone.has(doc.data().phone)) {
+          leadsByPhone.set(doc.data().phone, { id: doc.id, ...doc.data() });
+        }
+      });
+    }
+
+    return leadsByPhone;
+
+  } catch (error) {
+    console.error("Error in findLeadsByPhones model:", error);
+    throw new Error('Failed to search leads by phone number.');
+  }
+};
+
+// 11. CREATE LEADS IN BULK
+// Each lead is written with its first status history entry, like createLead.
+// The import passes at most IMPORT_CHUNK_SIZE leads, which fit in one batch.
+export const createLeads = async (leadsData, createdBy = null) => {
+  try {
+    const now = new Date().toISOString();
+    const writes = [];
+
+    const leads = leadsData.map(leadData => {
+      const docRef = leadsCollection.doc();
+      const newLead = {
+        ...leadData,
+        searchTokens: buildSearchTokens(leadData),
+        createdAt: leadData.createdAt || now
+      };
+
+      writes.push(batch => batch.set(docRef, newLead));
+      writes.push(batch => batch.set(docRef.collection('statusHistory').doc(), {
+        from: null,
+        to: newLead.status,
+        changedBy: createdBy,
+        note: 'Lead imported',
+        changedAt: now
+      }));
+
+      return { id: docRef.id, ...newLead };
+    });
+
+    await commitInBatches(writes);
+    return leads;
+
+  } catch (error) {
+    console.error("Error in createLeads model:", error);
+    throw new Error('Failed to create the leads in the database.');
+  }
+};
+
+// 12. ITERATE OVER LEADS A PAGE AT A TIME (for exports)
+export const iterateLeads = ({ filters = [], orderBy = 'createdAt', orderDirection = 'desc' } = {}) =>
+  iterateQuery(applyFilters(leadsCollection, filters).orderBy(orderBy, orderDirection));
+
+// 13. RECORD A REPEAT ENQUIRY ON A LEAD
+// The lead keeps the source and UTM parameters of its first enquiry, later
+// ones are added to its enquiries subcollection so their campaigns still count.
+export const recordLeadEnquiry = async (id, enquiryData) => {
+  try {
+    const docRef = leadsCollection.doc(id);
+    const now = new Date().toISOString();
+
+    const batch = db.batch();
+    batch.set(docRef.collection('enquiries').doc(), {
+      ...enquiryData,
+      receivedAt: now
+    });
+    batch.update(docRef, { lastEnquiryAt: now, updatedAt: now });
+    await batch.commit();
+
+  } catch (error) {
+    console.error("Error in recordLeadEnquiry model:", error);
+    throw new Error('Failed to record the enquiry in the database.');
+  }
+};
+
+// 14. GET THE REPEAT ENQUIRIES OF A LEAD
+export const getLeadEnquiries = async (id) => {
+  try {
+    const snapshot = await leadsCollection
+      .doc(id)
+      .collection('enquiries')
+      .orderBy('receivedAt', 'asc')
+      .get();
+
+    const enquiries = [];
+    snapshot.forEach(doc => {
+      enquiries.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return enquiries;
+
+  } catch (error) {
+    console.error("Error in getLeadEnquiries model:", error);
+    throw new Error('Failed to retrieve the lead enquiries from the database.');
+  }
+};
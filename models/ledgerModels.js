@@ -0,0 +1,294 @@
+import { FieldPath } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+import { getFeePlanById, getAssignmentsForStudent } from './feePlanModels.js';
+import { getPaymentsByStudentId, getNetAmount } from './paymentModels.js';
+import { getPeriodKey, getDateKey, addMonthsToPeriod } from '../utils/dateUtils.js';
+import { toPaise, fromPaise } from '../utils/moneyUtils.js';
+
+const duesCollection = db.collection('dues');
+const studentsCollection = db.collection('students');
+const jobsCollection = db.collection('jobs');
+
+// Months between two dues of each billing cycle
+const BILLING_CYCLE_MONTHS = {
+  monthly: 1,
+  quarterly: 3
+};
+
+// Payments with these statuses never count towards dues
+const LEDGER_EXCLUDED_STATUSES = ['failed', 'voided'];
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+// Students billed per page by the dues job, and how long one run of the job
+// keeps starting new pages (it has to finish inside the serverless time limit)
+const DUES_JOB_PAGE_SIZE = 50;
+const DUES_JOB_TIME_BUDGET_MS = parseInt(process.env.DUES_JOB_TIME_BUDGET_MS) || 8000;
+
+// Periods a fee plan bills for between two periods (inclusive)
+const getDuePeriods = (feePlan, startPeriod, lastPeriod) => {
+  if (startPeriod > lastPeriod) {
+    return [];
+  }
+
+  if (feePlan.billingCycle === 'one_time') {
+    return [startPeriod];
+  }
+
+  const step = BILLING_CYCLE_MONTHS[feePlan.billingCycle] || 1;
+  const periods = [];
+  for (let period = startPeriod; period <= lastPeriod; period = addMonthsToPeriod(period, step)) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+// Data Access Layer (Model) Functions
+
+// 1. GENERATE DUES FOR A STUDENT UP TO A BILLING PERIOD - Idempotent
+// Each due uses a deterministic ID (student, plan, period), so running the
+// generation again only creates the dues that are still missing.
+export const generateDuesForStudent = async (student, uptoPeriod = getPeriodKey()) => {
+  try {
+    const assignments = await getAssignmentsForStudent(student);
+
+    // A plan assigned to the student directly overrides the same plan on their batch
+    const assignmentsByPlan = {};
+    assignments.forEach(assignment => {
+      const current = assignmentsByPlan[assignment.feePlanId];
+      if (!current || assignment.targetType === 'student') {
+        assignmentsByPlan[assignment.feePlanId] = assignment;
+      }
+    });
+
+    const joinedPeriod = student.createdAt ? getPeriodKey(student.createdAt) : null;
+
+    const existingSnapshot = await duesCollection.where('studentId', '==', student.id).get();
+    const dues = [];
+    const existingIds = new Set();
+    existingSnapshot.forEach(doc => {
+      existingIds.add(doc.id);
+      dues.push({ id: doc.id, ...doc.data() });
+    });
+
+    const newDues = [];
+    for (const assignment of Object.values(assignmentsByPlan)) {
+      const feePlan = await getFeePlanById(assignment.feePlanId);
+
+      // Inactive plans stop billing, dues already generated are kept
+      if (!feePlan || feePlan.active === false) {
+        continue;
+      }
+
+      // Batch-wide plans only bill students from the period they joined
+      let startPeriod = assignment.startPeriod;
+      if (assignment.targetType === 'batch' && joinedPeriod && joinedPeriod > startPeriod) {
+        startPeriod = joinedPeriod;
+      }
+
+      const lastPeriod = assignment.endPeriod && assignment.endPeriod < uptoPeriod
+        ? assignment.endPeriod
+        : uptoPeriod;
+
+      getDuePeriods(feePlan, startPeriod, lastPeriod).forEach(period => {
+        const id = `${student.id}_${feePlan.id}_${period}`;
+        if (existingIds.has(id)) {
+          return;
+        }
+
+        newDues.push({
+          id,
+          studentId: student.id,
+          feePlanId: feePlan.id,
+          feePlanName: feePlan.name,
+          billingCycle: feePlan.billingCycle,
+          period,
+          dueDate: `${period}-${String(feePlan.dueDay || 10).padStart(2, '0')}`,
+          amount: feePlan.amount,
+          createdAt: new Date().toISOString()
+        });
+      });
+    }
+
+    for (let i = 0; i < newDues.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      newDues.slice(i, i + BATCH_SIZE).forEach(({ id, ...due }) => {
+        batch.set(duesCollection.doc(id), due);
+      });
+      await batch.commit();
+    }
+
+    return {
+      dues: [...dues, ...newDues],
+      createdCount: newDues.length
+    };
+
+  } catch (error) {
+    console.error("Error in generateDuesForStudent model:", error);
+    throw new Error('Failed to generate dues for the student.');
+  }
+};
+
+// 2. GENERATE DUES FOR EVERY STUDENT UP TO A BILLING PERIOD - Resumable
+// Bills the students a page at a time in ID order and saves its position in
+// jobs/dues_<period> after every page, so the next run (from the hourly cron
+// or POST /api/fee-plans/generate-dues) continues where the last one stopped.
+// A run bills at least one page and starts no new page once timeBudgetMs
+// has passed.
+// Returns { period, studentsProcessed, duesCreated, completed }.
+export const generateDuesForAllStudents = async (uptoPeriod = getPeriodKey(), { restart = false, timeBudgetMs = DUES_JOB_TIME_BUDGET_MS } = {}) => {
+  try {
+    const deadline = Date.now() + timeBudgetMs;
+    const jobRef = jobsCollection.doc(`dues_${uptoPeriod}`);
+    const jobDoc = await jobRef.get();
+
+    let job = jobDoc.exists && !restart
+      ? jobDoc.data()
+      : { period: uptoPeriod, cursor: null, studentsProcessed: 0, duesCreated: 0, completedAt: null };
+
+    while (!job.completedAt) {
+      let query = studentsCollection.orderBy(FieldPath.documentId()).limit(DUES_JOB_PAGE_SIZE);
+      if (job.cursor) {
+        query = query.startAfter(job.cursor);
+      }
+      const snapshot = await query.get();
+
+      // Sequential on purpose - keeps Firestore write bursts small
+      let duesCreated = 0;
+      for (const doc of snapshot.docs) {
+        const { createdCount } = await generateDuesForStudent({ id: doc.id, ...doc.data() }, uptoPeriod);
+        duesCreated += createdCount;
+      }
+
+      const now = new Date().toISOString();
+      job = {
+        period: uptoPeriod,
+        cursor: snapshot.size > 0 ? snapshot.docs[snapshot.size - 1].id : job.cursor,
+        studentsProcessed: job.studentsProcessed + snapshot.size,
+        duesCreated: job.duesCreated + duesCreated,
+        completedAt: snapshot.size < DUES_JOB_PAGE_SIZE ? now : null,
+        updatedAt: now
+      };
+      await jobRef.set(job);
+
+      if (Date.now() >= deadline) {
+        break;
+      }
+    }
+
+    return {
+      period: uptoPeriod,
+      studentsProcessed: job.studentsProcessed,
+      duesCreated: job.duesCreated,
+      completed: Boolean(job.completedAt)
+    };
+
+  } catch (error) {
+    console.error("Error in generateDuesForAllStudents model:", error);
+    throw new Error('Failed to generate dues for students.');
+  }
+};
+
+// 3. GENERATE DUES FOR THE STUDENTS A NEW ASSIGNMENT APPLIES TO
+// Bills them up to the current period, later periods come from the
+// generate-dues job.
+export const generateDuesForAssignment = async (assignment) => {
+  try {
+    let studentDocs;
+    if (assignment.targetType === 'student') {
+      const doc = await studentsCollection.doc(assignment.targetId).get();
+      studentDocs = doc.exists ? [doc] : [];
+    } else {
+      studentDocs = (await studentsCollection.where('batchId', '==', assignment.targetId).get()).docs;
+    }
+
+    let duesCreated = 0;
+    for (const doc of studentDocs) {
+      const { createdCount } = await generateDuesForStudent({ id: doc.id, ...doc.data() });
+      duesCreated += createdCount;
+    }
+
+    return { studentsProcessed: studentDocs.length, duesCreated };
+
+  } catch (error) {
+    console.error("Error in generateDuesForAssignment model:", error);
+    throw new Error('Failed to generate dues for the assignment.');
+  }
+};
+
+// 4. GET THE DUES LEDGER OF A STUDENT - Read-only
+// Shows the dues generated so far (by the generate-dues job and when a plan
+// is assigned). Payments, net of refunds, are matched against the oldest
+// unpaid dues first.
+export const getStudentLedger = async (student) => {
+  try {
+    const duesSnapshot = await duesCollection.where('studentId', '==', student.id).get();
+    const dues = duesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const payments = (await getPaymentsByStudentId(student.id))
+      .filter(payment => !LEDGER_EXCLUDED_STATUSES.includes(payment.status));
+
+    const sortedDues = [...dues].sort((a, b) =>
+      a.dueDate.localeCompare(b.dueDate) || a.feePlanName.localeCompare(b.feePlanName)
+    );
+
+    // Summed and matched in whole paise, so rounding never leaves a paid due with a balance
+    const totalDuePaise = sortedDues.reduce((sum, due) => sum + toPaise(due.amount), 0);
+    const totalPaidPaise = payments.reduce((sum, payment) => sum + toPaise(getNetAmount(payment)), 0);
+    const today = getDateKey();
+
+    let availablePaise = totalPaidPaise;
+    const entries = sortedDues.map(due => {
+      const amountPaise = toPaise(due.amount);
+      const paidPaise = Math.min(availablePaise, amountPaise);
+      availablePaise -= paidPaise;
+
+      const balancePaise = amountPaise - paidPaise;
+      let status = 'paid';
+      if (balancePaise > 0) {
+        status = due.dueDate < today ? 'overdue' : (paidPaise > 0 ? 'partially_paid' : 'due');
+      }
+
+      return {
+        id: due.id,
+        feePlanId: due.feePlanId,
+        feePlanName: due.feePlanName,
+        period: due.period,
+        dueDate: due.dueDate,
+        amount: due.amount,
+        paid: fromPaise(paidPaise),
+        balance: fromPaise(balancePaise),
+        status
+      };
+    });
+
+    const overdue = entries.filter(entry => entry.status === 'overdue');
+
+    return {
+      studentId: student.id,
+      summary: {
+        totalDue: fromPaise(totalDuePaise),
+        totalPaid: fromPaise(totalPaidPaise),
+        outstandingBalance: fromPaise(Math.max(totalDuePaise - totalPaidPaise, 0)),
+        advanceCredit: fromPaise(Math.max(totalPaidPaise - totalDuePaise, 0)),
+        overdueAmount: fromPaise(overdue.reduce((sum, entry) => sum + toPaise(entry.balance), 0)),
+        overduePeriods: [...new Set(overdue.map(entry => entry.period))]
+      },
+      dues: entries,
+      payments: payments.map(payment => ({
+        id: payment.id,
+        receiptNumber: payment.receiptNumber || null,
+        paymentDate: payment.paymentDate,
+        method: payment.method,
+        status: payment.status,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount || 0,
+        netAmount: getNetAmount(payment)
+      }))
+    };
+
+  } catch (error) {
+    console.error("Error in getStudentLedger model:", error);
+    throw new Error('Failed to build the ledger for the student.');
+  }
+};
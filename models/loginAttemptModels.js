@@ -0,0 +1,207 @@
+import { db } from '../config/firebase.js';
+
+// Counters live in Firestore so every serverless instance shares them
+const loginAttemptsCollection = db.collection('loginAttempts');
+const securityEventsCollection = db.collection('securityEvents');
+
+const MAX_FAILURES = {
+  username: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME) || 5,
+  ip: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20
+};
+const WINDOW_MS = (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const attemptDocId = (scope, value) => `${scope}_${encodeURIComponent(value)}`;
+
+// The username and IP counters that apply to a login attempt
+const getAttemptKeys = (username, ip) => {
+  const keys = [{ scope: 'username', value: String(username).trim().toLowerCase() }];
+  if (ip) {
+    keys.push({ scope: 'ip', value: ip });
+  }
+  return keys;
+};
+
+// Queue a security event write inside a transaction or batch
+const queueSecurityEvent = (writer, event) => {
+  writer.set(securityEventsCollection.doc(), {
+    ...event,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Data Access Layer (Model) Functions
+
+// 1. CHECK WHETHER A LOGIN ATTEMPT IS LOCKED OUT
+export const getLoginLockStatus = async (username, ip) => {
+  try {
+    const keys = getAttemptKeys(username, ip);
+    const docs = await Promise.all(
+      keys.map(({ scope, value }) => loginAttemptsCollection.doc(attemptDocId(scope, value)).get())
+    );
+
+    const now = Date.now();
+    for (let i = 0; i < docs.length; i++) {
+      const lockedUntil = docs[i].exists ? docs[i].data().lockedUntil : null;
+      if (lockedUntil && new Date(lockedUntil).getTime() > now) {
+        return {
+          locked: true,
+          scope: keys[i].scope,
+          retryAfterSeconds: Math.ceil((new Date(lockedUntil).getTime() - now) / 1000)
+        };
+      }
+    }
+
+    return { locked: false };
+
+  } catch (error) {
+    console.error("Error in getLoginLockStatus model:", error);
+    throw new Error('Failed to check the login lockout status.');
+  }
+};
+
+// 2. RECORD A FAILED LOGIN - Locks the username or IP once it hits the limit
+export const recordFailedLogin = async (username, ip) => {
+  try {
+    const keys = getAttemptKeys(username, ip);
+    const refs = keys.map(({ scope, value }) => loginAttemptsCollection.doc(attemptDocId(scope, value)));
+
+    return await db.runTransaction(async (transaction) => {
+      const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+      const now = Date.now();
+      const nowISO = new Date(now).toISOString();
+      let lockStatus = { locked: false };
+
+      docs.forEach((doc, i) => {
+        const { scope, value } = keys[i];
+        const existing = doc.exists ? doc.data() : null;
+
+        // An expired lock or counting window starts a fresh window
+        const windowExpired = !existing ||
+          now - new Date(existing.windowStartedAt).getTime() > WINDOW_MS ||
+          (existing.lockedUntil && new Date(existing.lockedUntil).getTime() <= now);
+
+        if (existing?.lockedUntil && new Date(existing.lockedUntil).getTime() <= now) {
+          queueSecurityEvent(transaction, { type: 'unlock', scope, value, reason: 'expired', actor: null });
+        }
+
+        const failures = windowExpired ? 1 : existing.failures + 1;
+        const update = {
+          scope,
+          value,
+          failures,
+          windowStartedAt: windowExpired ? nowISO : existing.windowStartedAt,
+          lastFailureAt: nowISO,
+          lockedUntil: null
+        };
+
+        if (failures >= MAX_FAILURES[scope]) {
+          update.lockedUntil = new Date(now + LOCKOUT_MS).toISOString();
+          queueSecurityEvent(transaction, {
+            type: 'lockout',
+            scope,
+            value,
+            reason: `${failures} failed login attempts`,
+            lockedUntil: update.lockedUntil,
+            actor: null
+          });
+          lockStatus = { locked: true, scope, retryAfterSeconds: Math.ceil(LOCKOUT_MS / 1000) };
+        }
+
+        transaction.set(refs[i], update);
+      });
+
+      return lockStatus;
+    });
+
+  } catch (error) {
+    console.error("Error in recordFailedLogin model:", error);
+    throw new Error('Failed to record the failed login attempt.');
+  }
+};
+
+// 3. CLEAR THE USERNAME COUNTER AFTER A SUCCESSFUL LOGIN
+// The IP counter is kept, so one valid login does not reset password spraying.
+export const clearFailedLogins = async (username) => {
+  try {
+    await loginAttemptsCollection
+      .doc(attemptDocId('username', String(username).trim().toLowerCase()))
+      .delete();
+    return true;
+
+  } catch (error) {
+    console.error("Error in clearFailedLogins model:", error);
+    throw new Error('Failed to clear failed login attempts.');
+  }
+};
+
+// 4. GET CURRENTLY LOCKED USERNAMES AND IPS
+export const getActiveLockouts = async () => {
+  try {
+    const snapshot = await loginAttemptsCollection
+      .where('lockedUntil', '>', new Date().toISOString())
+      .get();
+
+    const lockouts = [];
+    snapshot.forEach(doc => {
+      lockouts.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return lockouts;
+
+  } catch (error) {
+    console.error("Error in getActiveLockouts model:", error);
+    throw new Error('Failed to retrieve active lockouts.');
+  }
+};
+
+// 5. UNLOCK A USERNAME OR IP (admin action)
+export const unlockLogin = async (scope, value, actor) => {
+  try {
+    const normalizedValue = scope === 'username' ? String(value).trim().toLowerCase() : value;
+    const docRef = loginAttemptsCollection.doc(attemptDocId(scope, normalizedValue));
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return false; // Nothing to unlock
+    }
+
+    const batch = db.batch();
+    batch.delete(docRef);
+    queueSecurityEvent(batch, { type: 'unlock', scope, value: normalizedValue, reason: 'admin', actor: actor || null });
+    await batch.commit();
+
+    return true;
+
+  } catch (error) {
+    console.error("Error in unlockLogin model:", error);
+    throw new Error('Failed to unlock the login.');
+  }
+};
+
+// 6. GET RECENT LOCKOUT AND UNLOCK EVENTS
+export const getSecurityEvents = async (limit = 100) => {
+  try {
+    const snapshot = await securityEventsCollection
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    const events = [];
+    snapshot.forEach(doc => {
+      events.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return events;
+
+  } catch (error) {
+    console.error("Error in getSecurityEvents model:", error);
+    throw new Error('Failed to retrieve security events.');
+  }
+};
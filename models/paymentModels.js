@@ -1,47 +1,58 @@
 import {db} from '../config/firebase.js';
+import { academyConfig } from '../config/academy.js';
+import { getFinancialYear } from '../utils/dateUtils.js';
+import { iterateQuery, getPage, applyFilters, isUnsupportedQueryError } from '../utils/firestoreUtils.js';
+import { toPaise, fromPaise } from '../utils/moneyUtils.js';
 
 const paymentsCollection = db.collection('payments');   
+const countersCollection = db.collection('counters');
 
-// Data Access Layer (Model) Functions
+// Reserve the next receipt number for the payment date's financial year.
+// Runs inside the caller's transaction, so concurrent payments never share a
+// number. Call it after the transaction's other reads (Firestore requires all
+// reads to happen before any write).
+const allocateReceiptNumber = async (transaction, paymentDate) => {
+  const financialYear = getFinancialYear(paymentDate);
+  const counterRef = countersCollection.doc(`receipts_${financialYear}`);
 
-// 1. GET ALL PAYMENTS - OPTIMIZED with pagination
-export const getPayments = async (limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc') => {
-    try {
-      // OPTIMIZED: Add pagination and ordering
-      let query = paymentsCollection.orderBy(orderBy, orderDirection);
-      
-      if (offset > 0) {
-        // For pagination, limit the results
-        query = query.limit(limit + offset);
-      } else {
-        query = query.limit(limit);
-      }
-      
-      const snapshot = await query.get();
+  const counterDoc = await transaction.get(counterRef);
+  const next = (counterDoc.exists ? counterDoc.data().lastNumber : 0) + 1;
 
-      // If the snapshot is empty, return an empty array
-      if (snapshot.empty) {
-        return [];
-      }
+  transaction.set(counterRef, {
+    financialYear,
+    lastNumber: next,
+    updatedAt: new Date().toISOString()
+  });
 
-      // Map through the documents and return an array of payment objects
-      const payments = [];
-      let count = 0;
-      
-      snapshot.forEach(doc => {
-        // Skip offset number of records for simple pagination
-        if (count >= offset && payments.length < limit) {
-          payments.push({ 
-            id: doc.id, 
-            ...doc.data() 
-          });
-        }
-        count++;
+  return `${academyConfig.receiptPrefix}/${financialYear}/${String(next).padStart(5, '0')}`;
+};
+
+// Amount the academy keeps from a payment once refunds are taken out
+export const getNetAmount = (payment) =>
+  fromPaise(Math.max(toPaise(payment.amount) - toPaise(payment.refundedAmount), 0));
+
+// Data Access Layer (Model) Functions
+
+// 1. GET ALL PAYMENTS - Filtered, paginated with a cursor (or an offset)
+// filters are [field, op, value] where clauses.
+// Returns { payments, nextCursor } or { unsupportedQuery: true }.
+export const getPayments = async (limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc', cursor = null, filters = []) => {
+    try {
+      const { items, nextCursor } = await getPage(applyFilters(paymentsCollection, filters), {
+        limit,
+        offset,
+        orderBy,
+        orderDirection,
+        cursor
       });
 
-      return payments;
+      return { payments: items, nextCursor };
 
     } catch (error) {
+      if (isUnsupportedQueryError(error)) {
+        console.warn("Unsupported query in getPayments model:", error.message);
+        return { unsupportedQuery: true };
+      }
       console.error("Error in getPayments model:", error);
       throw new Error('Failed to retrieve payments from the database.');
     }
@@ -126,9 +137,11 @@ export const getPaymentsByDateRange = async (startDate, endDate, limit = 100) =>
 
         const payments = [];
         snapshot.forEach(doc => {
+          const data = doc.data();
           payments.push({ 
             id: doc.id, 
-            ...doc.data() 
+            ...data,
+            netAmount: getNetAmount(data)
           });
         });
 
@@ -163,7 +176,8 @@ const getPaymentsByDateRangeFallback = async (startDate, endDate, limit) => {
     if (paymentDate >= startDate && paymentDate <= endDate) {
       payments.push({ 
         id: doc.id, 
-        ...data 
+        ...data,
+        netAmount: getNetAmount(data)
       });
     }
   });
@@ -173,3 +187,262 @@ const getPaymentsByDateRangeFallback = async (startDate, endDate, limit) => {
     .slice(0, limit);
 };
 
+
+// 5. RECORD A CONFIRMED RAZORPAY PAYMENT - Idempotent
+// The Razorpay payment ID is used as the document ID, so the same payment
+// confirmed twice (checkout verification and webhook) is only stored once.
+export const recordRazorpayPayment = async (paymentData) => {
+    try {
+      const docRef = paymentsCollection.doc(paymentData.razorpayPaymentId);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+
+        const now = new Date().toISOString();
+
+        if (doc.exists) {
+          const existing = doc.data();
+
+          // A previously failed attempt that was captured later
+          if (existing.status === 'failed') {
+            const paymentDate = paymentData.paymentDate || now;
+            const update = {
+              ...paymentData,
+              status: 'captured',
+              paymentDate,
+              receiptNumber: await allocateReceiptNumber(transaction, paymentDate),
+              updatedAt: now
+            };
+            transaction.update(docRef, update);
+            return {
+              created: false,
+              payment: { id: doc.id, ...existing, ...update }
+            };
+          }
+
+          // Payment already recorded - return the existing record
+          return {
+            created: false,
+            payment: { id: doc.id, ...existing }
+          };
+        }
+
+        const paymentDate = paymentData.paymentDate || now;
+        const newPayment = {
+          ...paymentData,
+          method: 'razorpay',
+          paymentDate,
+          receiptNumber: await allocateReceiptNumber(transaction, paymentDate),
+          createdAt: now
+        };
+
+        transaction.set(docRef, newPayment);
+
+        return {
+          created: true,
+          payment: { id: docRef.id, ...newPayment }
+        };
+      });
+
+    } catch (error) {
+      console.error("Error in recordRazorpayPayment model:", error);
+      throw new Error('Failed to record the payment in the database.');
+    }
+  }
+
+// 6. MARK A RAZORPAY PAYMENT AS FAILED - Idempotent
+export const markRazorpayPaymentFailed = async (paymentData) => {
+    try {
+      const docRef = paymentsCollection.doc(paymentData.razorpayPaymentId);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        const now = new Date().toISOString();
+
+        if (doc.exists) {
+          const existing = doc.data();
+
+          // Never downgrade a payment that has already been captured
+          if (existing.status !== 'failed') {
+            return { id: doc.id, ...existing };
+          }
+
+          transaction.update(docRef, {
+            errorDescription: paymentData.errorDescription || existing.errorDescription || '',
+            updatedAt: now
+          });
+          return { id: doc.id, ...existing, errorDescription: paymentData.errorDescription, updatedAt: now };
+        }
+
+        // Failed attempts have no paymentDate, so they stay out of date-range reports
+        const failedPayment = {
+          ...paymentData,
+          method: 'razorpay',
+          status: 'failed',
+          failedAt: now,
+          createdAt: now
+        };
+
+        transaction.set(docRef, failedPayment);
+        return { id: docRef.id, ...failedPayment };
+      });
+
+    } catch (error) {
+      console.error("Error in markRazorpayPaymentFailed model:", error);
+      throw new Error('Failed to update the payment in the database.');
+    }
+  }
+
+// 7. ADD A FULL OR PARTIAL REFUND TO A PAYMENT
+// Razorpay refunds are de-duplicated by their Razorpay refund ID, so the
+// refund API response and the refund.processed webhook only apply once.
+// Other refunds are checked against the amount still refundable.
+export const addPaymentRefund = async (paymentId, refundData) => {
+    try {
+      const docRef = paymentsCollection.doc(paymentId);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+
+        if (!doc.exists) {
+          return null; // Payment not found
+        }
+
+        const existing = doc.data();
+        const refunds = existing.refunds || [];
+        const now = new Date().toISOString();
+
+        if (refundData.razorpayRefundId) {
+          const index = refunds.findIndex(refund => refund.razorpayRefundId === refundData.razorpayRefundId);
+
+          // Refund already applied - only track a change in its gateway status
+          if (index !== -1) {
+            if (refundData.status && refunds[index].status !== refundData.status) {
+              const updatedRefunds = [...refunds];
+              updatedRefunds[index] = { ...refunds[index], status: refundData.status, updatedAt: now };
+              transaction.update(docRef, { refunds: updatedRefunds, updatedAt: now });
+              return { applied: false, payment: { id: doc.id, ...existing, refunds: updatedRefunds } };
+            }
+            return { applied: false, payment: { id: doc.id, ...existing } };
+          }
+        } else if (toPaise(refundData.amount) > toPaise(getNetAmount(existing))) {
+          return { applied: false, payment: { id: doc.id, ...existing } };
+        }
+
+        const refundedPaise = toPaise(existing.refundedAmount) + toPaise(refundData.amount);
+        const update = {
+          refunds: [...refunds, { id: `refund_${refunds.length + 1}`, ...refundData, createdAt: now }],
+          refundedAmount: fromPaise(refundedPaise),
+          status: refundedPaise >= toPaise(existing.amount) ? 'refunded' : 'partially_refunded',
+          updatedAt: now
+        };
+
+        transaction.update(docRef, update);
+        return { applied: true, payment: { id: doc.id, ...existing, ...update } };
+      });
+
+    } catch (error) {
+      console.error("Error in addPaymentRefund model:", error);
+      throw new Error('Failed to record the refund in the database.');
+    }
+  }
+
+// 8. RECORD A MANUAL (CASH / UPI / BANK) PAYMENT
+export const createManualPayment = async (paymentData) => {
+    try {
+      const docRef = paymentsCollection.doc();
+
+      return await db.runTransaction(async (transaction) => {
+        const now = new Date().toISOString();
+        const paymentDate = paymentData.paymentDate
+          ? new Date(paymentData.paymentDate).toISOString()
+          : now;
+
+        const newPayment = {
+          ...paymentData,
+          status: 'completed',
+          paymentDate,
+          receiptNumber: await allocateReceiptNumber(transaction, paymentDate),
+          createdAt: now
+        };
+
+        transaction.set(docRef, newPayment);
+
+        return { 
+          id: docRef.id, 
+          ...newPayment 
+        };
+      });
+
+    } catch (error) {
+      console.error("Error in createManualPayment model:", error);
+      throw new Error('Failed to record the payment in the database.');
+    }
+  }
+
+// 9. UPDATE A PAYMENT
+export const updatePayment = async (id, updateData) => {
+    try {
+      const docRef = paymentsCollection.doc(id);
+      
+      // Add timestamp to update data
+      const updatedData = {
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      };
+      
+      await docRef.update(updatedData);
+      
+      return { 
+        id: id,
+        ...updatedData
+      };
+
+    } catch (error) {
+      console.error("Error in updatePayment model:", error);
+      throw new Error('Failed to update the payment in the database.');
+    }
+  }
+
+// 10. VOID A PAYMENT - The original record is kept and flagged as voided
+export const voidPayment = async (id, reason, voidedBy) => {
+    try {
+      const docRef = paymentsCollection.doc(id);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+
+        if (!doc.exists) {
+          return null; // Payment not found
+        }
+
+        const existing = doc.data();
+
+        // Already voided - return the record unchanged
+        if (existing.status === 'voided') {
+          return { id: doc.id, ...existing };
+        }
+
+        const now = new Date().toISOString();
+        const update = {
+          status: 'voided',
+          statusBeforeVoid: existing.status || null,
+          voidReason: reason,
+          voidedBy: voidedBy || null,
+          voidedAt: now,
+          updatedAt: now
+        };
+
+        transaction.update(docRef, update);
+        return { id: doc.id, ...existing, ...update };
+      });
+
+    } catch (error) {
+      console.error("Error in voidPayment model:", error);
+      throw new Error('Failed to void the payment in the database.');
+    }
+  }
+
+// 11. ITERATE OVER PAYMENTS A PAGE AT A TIME (for exports)
+export const iteratePayments = ({ filters = [], orderBy = 'createdAt', orderDirection = 'desc' } = {}) =>
+  iterateQuery(applyFilters(paymentsCollection, filters).orderBy(orderBy, orderDirection));
@@ -0,0 +1,45 @@
+import { db } from '../config/firebase.js';
+
+// Counters live in Firestore so every serverless instance shares them
+const rateLimitsCollection = db.collection('rateLimits');
+
+// Data Access Layer (Model) Functions
+
+// 1. COUNT A REQUEST AGAINST A FIXED-WINDOW RATE LIMIT
+// Returns { allowed: true } or { allowed: false, retryAfterSeconds }.
+export const consumeRateLimit = async (key, maxRequests, windowMs) => {
+  try {
+    const docRef = rateLimitsCollection.doc(encodeURIComponent(key));
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const now = Date.now();
+      const existing = doc.exists ? doc.data() : null;
+
+      const windowStart = existing ? new Date(existing.windowStartedAt).getTime() : 0;
+      if (!existing || now - windowStart >= windowMs) {
+        transaction.set(docRef, {
+          key,
+          count: 1,
+          windowStartedAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + windowMs).toISOString()
+        });
+        return { allowed: true };
+      }
+
+      if (existing.count >= maxRequests) {
+        return {
+          allowed: false,
+          retryAfterSeconds: Math.ceil((windowStart + windowMs - now) / 1000)
+        };
+      }
+
+      transaction.update(docRef, { count: existing.count + 1 });
+      return { allowed: true };
+    });
+
+  } catch (error) {
+    console.error("Error in consumeRateLimit model:", error);
+    throw new Error('Failed to check the rate limit.');
+  }
+};
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { getPeriodKey } from '../utils/dateUtils.js';
+
+const leadsCollection = db.collection('leads');
+
+// Reports scan whole collections, so results are stored and reused for a
+// while. Kept in Firestore so every serverless instance shares them.
+const reportCacheCollection = db.collection('reportCache');
+const REPORT_CACHE_TTL_MS = (parseInt(process.env.REPORT_CACHE_MINUTES) || 15) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leads whose status history is read at once
+const HISTORY_READ_CHUNK = 100;
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Free-text sources are grouped case-insensitively, e.g. 'Instagram ' and 'instagram'
+const normalizeSource = (source) => String(source || '').trim().toLowerCase() || 'unknown';
+
+// Counters for one group of leads
+const newFunnelGroup = (stages) => ({
+  total: 0,
+  reached: Object.fromEntries(stages.map(stage => [stage, 0])),
+  current: Object.fromEntries(stages.map(stage => [stage, 0])),
+  converted: 0,
+  daysToConvert: []
+});
+
+const summarizeFunnelGroup = ({ daysToConvert, ...group }) => ({
+  ...group,
+  conversionRate: group.total ? Math.round((group.converted / group.total) * 1000) / 10 : 0,
+  medianDaysToConvert: daysToConvert.length ? Math.round(median(daysToConvert) * 10) / 10 : null
+});
+
+// Lead ID -> set of every status the lead has had, from its statusHistory.
+// The current status is added for leads from before history was kept.
+const getStatusesReached = async (leadDocs) => {
+  const reached = new Map();
+
+  for (let i = 0; i < leadDocs.length; i += HISTORY_READ_CHUNK) {
+    const chunk = leadDocs.slice(i, i + HISTORY_READ_CHUNK);
+    const histories = await Promise.all(
+      chunk.map(doc => doc.ref.collection('statusHistory').select('to').get())
+    );
+
+    chunk.forEach((doc, index) => {
+      const statuses = new Set(histories[index].docs.map(entry => entry.data().to));
+      statuses.add(doc.data().status);
+      reached.set(doc.id, statuses);
+    });
+  }
+
+  return reached;
+};
+
+// Read a cached report, or build and cache it
+const getCachedReport = async (cacheKey, buildReport, refresh) => {
+  const cacheRef = reportCacheCollection.doc(cacheKey);
+
+  if (!refresh) {
+    const cached = await cacheRef.get();
+    if (cached.exists && Date.now() - new Date(cached.data().generatedAt).getTime() < REPORT_CACHE_TTL_MS) {
+      return { ...cached.data().report, generatedAt: cached.data().generatedAt, cached: true };
+    }
+  }
+
+  const report = await buildReport();
+  const generatedAt = new Date().toISOString();
+  await cacheRef.set({ report, generatedAt });
+
+  return { ...report, generatedAt, cached: false };
+};
+
+// Data Access Layer (Model) Functions
+
+// 1. LEAD FUNNEL BY SOURCE AND MONTH
+// Leads are grouped by source and the month they were created (academy
+// timezone). For each pipeline stage, reached counts the leads that were at
+// it at some point, from their status history, and current the leads at it
+// now. A lead that skipped a stage is not counted as reaching it.
+// A lead counts as converted once it is linked to a student or reaches the
+// converted stage.
+export const getLeadFunnelReport = async ({ fromPeriod, toPeriod, pipeline, refresh = false }) => {
+  try {
+    // Any change to the pipeline settings builds a fresh report
+    const pipelineHash = crypto.createHash('sha256').update(JSON.stringify(pipeline)).digest('hex').slice(0, 16);
+    const cacheKey = `leadFunnel_${fromPeriod}_${toPeriod}_${pipelineHash}`;
+
+    return await getCachedReport(encodeURIComponent(cacheKey), async () => {
+      // createdAt is stored in UTC, start a day early so leads created just
+      // after midnight academy time are not missed, then filter by period
+      const since = new Date(new Date(`${fromPeriod}-01T00:00:00Z`).getTime() - DAY_MS).toISOString();
+
+      const snapshot = await leadsCollection
+        .where('createdAt', '>=', since)
+        .select('source', 'status', 'createdAt', 'convertedAt', 'studentId')
+        .get();
+
+      const leadDocs = snapshot.docs.filter(doc => {
+        const month = getPeriodKey(doc.data().createdAt);
+        return month >= fromPeriod && month <= toPeriod;
+      });
+      const statusesReached = await getStatusesReached(leadDocs);
+
+      const groups = {};
+      const totals = newFunnelGroup(pipeline.stages);
+
+      leadDocs.forEach(doc => {
+        const lead = doc.data();
+        const month = getPeriodKey(lead.createdAt);
+        const source = normalizeSource(lead.source);
+        const key = `${source}|${month}`;
+        groups[key] = groups[key] || { source, month, ...newFunnelGroup(pipeline.stages) };
+
+        [groups[key], totals].forEach(group => {
+          group.total++;
+          statusesReached.get(doc.id).forEach(status => {
+            if (group.reached[status] !== undefined) {
+              group.reached[status]++;
+            }
+          });
+          if (group.current[lead.status] !== undefined) {
+            group.current[lead.status]++;
+          }
+          if (lead.studentId || lead.status === pipeline.convertedStage) {
+            group.converted++;
+            if (lead.convertedAt) {
+              group.daysToConvert.push((new Date(lead.convertedAt) - new Date(lead.createdAt)) / DAY_MS);
+            }
+          }
+        });
+      });
+
+      return {
+        fromPeriod,
+        toPeriod,
+        stages: pipeline.stages,
+        totals: summarizeFunnelGroup(totals),
+        groups: Object.values(groups)
+          .sort((a, b) => a.month.localeCompare(b.month) || a.source.localeCompare(b.source))
+          .map(summarizeFunnelGroup)
+      };
+    }, refresh);
+
+  } catch (error) {
+    console.error("Error in getLeadFunnelReport model:", error);
+    throw new Error('Failed to build the lead funnel report.');
+  }
+};
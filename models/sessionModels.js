@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+
+const sessionsCollection = db.collection('sessions');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only a hash of the refresh token secret is stored
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens look like '<sessionId>.<secret>'
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+const isActive = (session) =>
+  !session.revokedAt && session.expiresAt > new Date().toISOString();
+
+// Data Access Layer (Model) Functions
+
+// 1. CREATE A LOGIN SESSION - Returns the session and its first refresh token
+export const createSession = async ({ userId, userAgent, ip }) => {
+  try {
+    const docRef = sessionsCollection.doc();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const newSession = {
+      userId,
+      userAgent: userAgent || '',
+      ip: ip || '',
+      refreshTokenHash: hashSecret(secret),
+      previousRefreshTokenHash: null,
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      revokedAt: null
+    };
+
+    await docRef.set(newSession);
+
+    return {
+      session: { id: docRef.id, ...newSession },
+      refreshToken: `${docRef.id}.${secret}`
+    };
+
+  } catch (error) {
+    console.error("Error in createSession model:", error);
+    throw new Error('Failed to create the session in the database.');
+  }
+};
+
+// 2. CHECK WHETHER A SESSION IS STILL ACTIVE
+export const isSessionActive = async (sessionId) => {
+  try {
+    const doc = await sessionsCollection.doc(sessionId).get();
+    return doc.exists && isActive(doc.data());
+
+  } catch (error) {
+    console.error("Error in isSessionActive model:", error);
+    throw new Error('Failed to check the session in the database.');
+  }
+};
+
+// 3. ROTATE A REFRESH TOKEN
+// Every refresh token can be used once. Presenting an already rotated token
+// means it was copied, so the whole session is revoked.
+export const rotateRefreshToken = async (refreshToken) => {
+  try {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return null;
+    }
+
+    const docRef = sessionsCollection.doc(parsed.sessionId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const session = doc.data();
+      const presentedHash = hashSecret(parsed.secret);
+      const now = new Date().toISOString();
+
+      if (!isActive(session)) {
+        return null;
+      }
+
+      if (presentedHash === session.previousRefreshTokenHash) {
+        console.warn(`Refresh token reuse detected, revoking session ${doc.id}`);
+        transaction.update(docRef, { revokedAt: now, revokedReason: 'refresh_token_reuse' });
+        return null;
+      }
+
+      if (presentedHash !== session.refreshTokenHash) {
+        return null;
+      }
+
+      const secret = crypto.randomBytes(32).toString('hex');
+      const update = {
+        refreshTokenHash: hashSecret(secret),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: now
+      };
+
+      transaction.update(docRef, update);
+
+      return {
+        session: { id: doc.id, ...session, ...update },
+        refreshToken: `${doc.id}.${secret}`
+      };
+    });
+
+  } catch (error) {
+    console.error("Error in rotateRefreshToken model:", error);
+    throw new Error('Failed to rotate the refresh token.');
+  }
+};
+
+// 4. REVOKE A SINGLE SESSION
+export const revokeSession = async (sessionId, reason) => {
+  try {
+    const docRef = sessionsCollection.doc(sessionId);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return false; // Session not found
+    }
+
+    if (!doc.data().revokedAt) {
+      await docRef.update({
+        revokedAt: new Date().toISOString(),
+        revokedReason: reason || 'logout'
+      });
+    }
+    return true;
+
+  } catch (error) {
+    console.error("Error in revokeSession model:", error);
+    throw new Error('Failed to revoke the session.');
+  }
+};
+
+// 5. REVOKE EVERY ACTIVE SESSION OF A USER (force logout)
+export const revokeUserSessions = async (userId, reason) => {
+  try {
+    const snapshot = await sessionsCollection
+      .where('userId', '==', userId)
+      .where('revokedAt', '==', null)
+      .get();
+
+    if (snapshot.empty) {
+      return { revokedCount: 0 };
+    }
+
+    const now = new Date().toISOString();
+    const batch = db.batch();
+    snapshot.forEach(doc => {
+      batch.update(doc.ref, { revokedAt: now, revokedReason: reason || 'forced_logout' });
+    });
+
+    await batch.commit();
+    return { revokedCount: snapshot.size };
+
+  } catch (error) {
+    console.error("Error in revokeUserSessions model:", error);
+    throw new Error('Failed to revoke the user sessions.');
+  }
+};
@@ -0,0 +1,141 @@
+import { db } from '../config/firebase.js';
+import { DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js';
+import { DEFAULT_LEAD_PIPELINE } from '../config/leadPipeline.js';
+import { DEFAULT_ATTENDANCE_POLICY } from '../config/attendancePolicy.js';
+
+const settingsCollection = db.collection('settings');
+
+// Settings are read on most requests, so keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+const settingsCache = new Map();
+
+// Read a settings document through the cache (null when it does not exist)
+const readSetting = async (docId) => {
+  const cached = settingsCache.get(docId);
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+    return cached.value;
+  }
+
+  const doc = await settingsCollection.doc(docId).get();
+  const value = doc.exists ? doc.data() : null;
+
+  settingsCache.set(docId, { value, cachedAt: Date.now() });
+  return value;
+};
+
+// Write a settings document and drop it from this instance's cache
+const writeSetting = async (docId, data, updatedBy, merge = false) => {
+  await settingsCollection.doc(docId).set({
+    ...data,
+    updatedAt: new Date().toISOString(),
+    updatedBy: updatedBy || null
+  }, { merge });
+
+  settingsCache.delete(docId);
+};
+
+// Data Access Layer (Model) Functions
+
+// 1. GET ROLE PERMISSIONS (defaults merged with stored overrides)
+export const getRolePermissions = async () => {
+  try {
+    const stored = await readSetting('rolePermissions');
+
+    return {
+      ...DEFAULT_ROLE_PERMISSIONS,
+      ...(stored?.roles || {}),
+      admin: ['*'] // The admin role can never be locked out
+    };
+
+  } catch (error) {
+    console.error("Error in getRolePermissions model:", error);
+    throw new Error('Failed to retrieve role permissions from the database.');
+  }
+};
+
+// 2. SET THE PERMISSIONS OF A ROLE
+export const setRolePermissions = async (role, permissions, updatedBy) => {
+  try {
+    await writeSetting('rolePermissions', { roles: { [role]: permissions } }, updatedBy, true);
+    return { role, permissions };
+
+  } catch (error) {
+    console.error("Error in setRolePermissions model:", error);
+    throw new Error('Failed to update role permissions in the database.');
+  }
+};
+
+// 3. GET THE LEAD PIPELINE (stored pipeline, or the built-in default)
+export const getLeadPipeline = async () => {
+  try {
+    const stored = await readSetting('leadPipeline');
+
+    if (!stored?.stages) {
+      return DEFAULT_LEAD_PIPELINE;
+    }
+
+    return {
+      initialStage: stored.initialStage,
+      convertedStage: stored.convertedStage || DEFAULT_LEAD_PIPELINE.convertedStage,
+      stages: stored.stages,
+      transitions: stored.transitions
+    };
+
+  } catch (error) {
+    console.error("Error in getLeadPipeline model:", error);
+    throw new Error('Failed to retrieve the lead pipeline from the database.');
+  }
+};
+
+// 4. REPLACE THE LEAD PIPELINE
+export const setLeadPipeline = async (pipeline, updatedBy) => {
+  try {
+    await writeSetting('leadPipeline', pipeline, updatedBy);
+    return pipeline;
+
+  } catch (error) {
+    console.error("Error in setLeadPipeline model:", error);
+    throw new Error('Failed to update the lead pipeline in the database.');
+  }
+};
+
+// 5. GET THE ATTENDANCE POLICY (defaults merged with the stored policy)
+export const getAttendancePolicy = async () => {
+  try {
+    const stored = await readSetting('attendancePolicy');
+
+    return {
+      statuses: {
+        ...DEFAULT_ATTENDANCE_POLICY.statuses,
+        ...(stored?.statuses || {})
+      },
+      holidays: stored?.holidays || DEFAULT_ATTENDANCE_POLICY.holidays
+    };
+
+  } catch (error) {
+    console.error("Error in getAttendancePolicy model:", error);
+    throw new Error('Failed to retrieve the attendance policy from the database.');
+  }
+};
+
+// 6. UPDATE THE ATTENDANCE POLICY
+// Status treatments are merged into the stored ones, holidays replace the
+// stored list. Returns the whole policy.
+export const setAttendancePolicy = async ({ statuses, holidays }, updatedBy) => {
+  try {
+    const update = {};
+    if (statuses) {
+      update.statuses = Object.fromEntries(Object.entries(statuses).filter(([, treatment]) => treatment));
+    }
+    if (holidays) {
+      update.holidays = [...holidays].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    await writeSetting('attendancePolicy', update, updatedBy, true);
+    return await getAttendancePolicy();
+
+  } catch (error) {
+    console.error("Error in setAttendancePolicy model:", error);
+    throw new Error('Failed to update the attendance policy in the database.');
+  }
+};
@@ -1,48 +1,34 @@
 import {db} from '../config/firebase.js';
+import { commitInBatches, fillMissingFields, iterateQuery, getPage, applyFilters, isUnsupportedQueryError, IN_QUERY_LIMIT } from '../utils/firestoreUtils.js';
+import { buildSearchTokens } from '../utils/searchUtils.js';
+import { checkBatchSpace, getBatchPlacesLeft } from './batchModels.js';
+import { getAttendanceId } from './attendanceModels.js';
+import { toDateKey, getDayStartISO } from '../utils/dateUtils.js';
 
 const studentsCollection = db.collection('students');   
 
 // Data Access Layer (Model) Functions
 
-// 1. GET ALL STUDENTS - OPTIMIZED with pagination
-export const getStudents = async (limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc') => {
+// 1. GET ALL STUDENTS - Filtered, paginated with a cursor (or an offset)
+// filters are [field, op, value] where clauses.
+// Returns { students, nextCursor } or { unsupportedQuery: true }.
+export const getStudents = async (limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc', cursor = null, filters = []) => {
     try {
-      // OPTIMIZED: Add pagination and ordering
-      let query = studentsCollection.orderBy(orderBy, orderDirection);
-      
-      if (offset > 0) {
-        // For pagination, we'd need to implement proper cursor-based pagination
-        // For now, limit the results
-        query = query.limit(limit + offset);
-      } else {
-        query = query.limit(limit);
-      }
-      
-      const snapshot = await query.get();
-  
-      // If the snapshot is empty, return an empty array
-      if (snapshot.empty) {
-        return [];
-      }
-  
-      // Map through the documents and return an array of student objects
-      const students = [];
-      let count = 0;
-      
-      snapshot.forEach(doc => {
-        // Skip offset number of records for simple pagination
-        if (count >= offset && students.length < limit) {
-          students.push({ 
-            id: doc.id, 
-            ...doc.data() 
-          });
-        }
-        count++;
+      const { items, nextCursor } = await getPage(applyFilters(studentsCollection, filters), {
+        limit,
+        offset,
+        orderBy,
+        orderDirection,
+        cursor
       });
-  
-      return students;
+
+      return { students: items, nextCursor };
   
     } catch (error) {
+      if (isUnsupportedQueryError(error)) {
+        console.warn("Unsupported query in getStudents model:", error.message);
+        return { unsupportedQuery: true };
+      }
       console.error("Error in getStudents model:", error);
       throw new Error('Failed to retrieve students from the database.');
     }
@@ -75,22 +61,37 @@ export const getStudentById = async (id) => {
   }
 
 // 3. CREATE A NEW STUDENT
+// A student with a batchId is only created while the batch has space, and
+// gets the batch name in 'batch'.
+// Returns the student, { batchNotFound: true } or { batchFull: true, capacity }.
 export const createStudent = async (studentData) => {           
     try {
-      // Add a timestamp for when the student is created
-      const newStudent = {
-        ...studentData,
-        createdAt: new Date().toISOString()
-      };
-      
-      // Add the new student to the collection
-      const docRef = await studentsCollection.add(newStudent);
-      
-      // Return the newly created student with its ID
-      return { 
-        id: docRef.id, 
-        ...newStudent 
-      };
+      const docRef = studentsCollection.doc();
+
+      return await db.runTransaction(async (transaction) => {
+        // Add a timestamp for when the student is created
+        const newStudent = {
+          ...studentData,
+          searchTokens: buildSearchTokens(studentData),
+          createdAt: new Date().toISOString()
+        };
+
+        if (studentData.batchId) {
+          const space = await checkBatchSpace(transaction, studentData.batchId);
+          if (!space.batch) {
+            return space;
+          }
+          newStudent.batch = space.batch.name;
+        }
+
+        transaction.set(docRef, newStudent);
+
+        // Return the newly created student with its ID
+        return { 
+          id: docRef.id, 
+          ...newStudent 
+        };
+      });
   
     } catch (error) {
       console.error("Error in createStudent model:", error);
@@ -99,6 +100,10 @@ export const createStudent = async (studentData) => {
   }     
 
 // 4. UPDATE AN EXISTING STUDENT - OPTIMIZED
+// Moving a student into a batch checks its space like createStudent, an
+// empty batchId takes them out of their batch.
+// Returns the changed fields, { notFound: true }, { batchNotFound: true } or
+// { batchFull: true, capacity }.
 export const updateStudent = async (id, updateData) => {
     try {
       const docRef = studentsCollection.doc(id);
@@ -108,15 +113,50 @@ export const updateStudent = async (id, updateData) => {
         ...updateData,
         updatedAt: new Date().toISOString()
       };
-      
-      // Update the document with the provided data
-      await docRef.update(updatedData);
-      
-      // OPTIMIZED: Return constructed object instead of fetching again
-      return { 
-        id: id,
-        ...updatedData
-      };
+
+      const changesBatch = updateData.batchId !== undefined;
+      const changesSearchTokens = updateData.name !== undefined || updateData.phone !== undefined;
+
+      if (!changesBatch && !changesSearchTokens) {
+        // Update the document with the provided data
+        await docRef.update(updatedData);
+        
+        // OPTIMIZED: Return constructed object instead of fetching again
+        return { 
+          id: id,
+          ...updatedData
+        };
+      }
+
+      return await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(docRef);
+        if (!current.exists) {
+          return { notFound: true };
+        }
+
+        // Search tokens cover name and phone, so changing either needs the other
+        if (changesSearchTokens) {
+          updatedData.searchTokens = buildSearchTokens({ ...current.data(), ...updateData });
+        }
+
+        if (changesBatch && !updateData.batchId) {
+          updatedData.batchId = null;
+          updatedData.batch = null;
+        } else if (changesBatch && updateData.batchId !== current.data().batchId) {
+          const space = await checkBatchSpace(transaction, updateData.batchId, id);
+          if (!space.batch) {
+            return space;
+          }
+          updatedData.batch = space.batch.name;
+        }
+
+        transaction.update(docRef, updatedData);
+
+        return { 
+          id: id,
+          ...updatedData
+        };
+      });
   
     } catch (error) {
       console.error("Error in updateStudent model:", error);
@@ -143,6 +183,246 @@ export const deleteStudent = async (id) => {
       console.error("Error in deleteStudent model:", error);
       throw new Error('Failed to delete the student from the database.');
     }
-  } 
+  }
+
+// 6. FIND STUDENTS WITH A PHONE NUMBER (phone must already be normalized)
+export const findStudentsByPhone = async (phone) => {
+    try {
+      const snapshot = await studentsCollection.where('phone', '==', phone).get();
+
+      const students = [];
+      snapshot.forEach(doc => {
+        students.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return students;
+
+    } catch (error) {
+      console.error("Error in findStudentsByPhone model:", error);
+      throw new Error('Failed to search students by phone number.');
+    }
+  }
+
+// 7. MERGE A DUPLICATE STUDENT INTO ANOTHER
+// Repoints the duplicate's attendance, payments, dues, fee plan assignments
+// and linked leads to the primary student, fills the primary's missing fields
+// and deletes the duplicate. Dues the primary already has for the same plan
+// and period, and attendance on days the primary already has (or the
+// duplicate's older records of a day), are dropped.
+// Every write is safe to re-run if a batch fails.
+// Returns { student, repointed } or { notFound: true }.
+export const mergeStudents = async (primaryId, duplicateId, mergedBy = null) => {
+    try {
+      const primaryRef = studentsCollection.doc(primaryId);
+      const duplicateRef = studentsCollection.doc(duplicateId);
+
+      const [primaryDoc, duplicateDoc] = await Promise.all([primaryRef.get(), duplicateRef.get()]);
+      if (!primaryDoc.exists || !duplicateDoc.exists) {
+        return { notFound: true };
+      }
+
+      const [attendance, primaryAttendance, payments, dues, primaryDues, assignments, leads] = await Promise.all([
+        db.collection('attendance').where('studentId', '==', duplicateId).get(),
+        db.collection('attendance').where('studentId', '==', primaryId).get(),
+        db.collection('payments').where('studentId', '==', duplicateId).get(),
+        db.collection('dues').where('studentId', '==', duplicateId).get(),
+        db.collection('dues').where('studentId', '==', primaryId).get(),
+        db.collection('feePlanAssignments')
+          .where('targetType', '==', 'student')
+          .where('targetId', '==', duplicateId)
+          .get(),
+        db.collection('leads').where('studentId', '==', duplicateId).get()
+      ]);
+
+      const writes = [];
+      payments.forEach(doc => writes.push(batch => batch.update(doc.ref, { studentId: primaryId })));
+      assignments.forEach(doc => writes.push(batch => batch.update(doc.ref, { targetId: primaryId })));
+      leads.forEach(doc => writes.push(batch => batch.update(doc.ref, { studentId: primaryId })));
+
+      // Attendance and due IDs include the student, so they are re-keyed rather than updated.
+      // Records from before attendance IDs were per day may have no dateKey.
+      const attendanceDay = (record) => record.dateKey || toDateKey(record.date);
+      const primaryDays = new Set(primaryAttendance.docs.map(doc => attendanceDay(doc.data())));
+      const latestFirst = [...attendance.docs].sort((a, b) =>
+        String(b.data().updatedAt || b.data().createdAt || '').localeCompare(String(a.data().updatedAt || a.data().createdAt || '')));
+      latestFirst.forEach(doc => {
+        const record = doc.data();
+        const dateKey = attendanceDay(record);
+        if (!dateKey) {
+          // No day to key it by, so it only changes hands
+          writes.push(batch => batch.update(doc.ref, { studentId: primaryId }));
+          return;
+        }
+        // The primary's record for the day, or the duplicate's latest one, wins
+        if (!primaryDays.has(dateKey)) {
+          primaryDays.add(dateKey);
+          const newRef = db.collection('attendance').doc(getAttendanceId(primaryId, dateKey));
+          writes.push(batch => batch.set(newRef, { ...record, studentId: primaryId, dateKey, date: getDayStartISO(dateKey) }));
+        }
+        writes.push(batch => batch.delete(doc.ref));
+      });
+
+      const primaryDueIds = new Set(primaryDues.docs.map(doc => doc.id));
+      dues.forEach(doc => {
+        const due = doc.data();
+        const newId = `${primaryId}_${due.feePlanId}_${due.period}`;
+        if (!primaryDueIds.has(newId)) {
+          writes.push(batch => batch.set(db.collection('dues').doc(newId), { ...due, studentId: primaryId }));
+        }
+        writes.push(batch => batch.delete(doc.ref));
+      });
+
+      const primary = primaryDoc.data();
+      const { createdAt, mergedFrom, searchTokens, ...duplicate } = duplicateDoc.data();
+      const now = new Date().toISOString();
+      const filledFields = fillMissingFields(primary, duplicate);
+      const primaryUpdate = {
+        ...filledFields,
+        searchTokens: buildSearchTokens({ ...primary, ...filledFields }),
+        mergedFrom: [...(primary.mergedFrom || []), duplicateId],
+        mergedBy,
+        updatedAt: now
+      };
+
+      writes.push(batch => batch.update(primaryRef, primaryUpdate));
+      writes.push(batch => batch.delete(duplicateRef));
+
+      await commitInBatches(writes);
+
+      return {
+        student: { id: primaryId, ...primary, ...primaryUpdate },
+        repointed: {
+          attendance: attendance.size,
+          payments: payments.size,
+          dues: dues.size,
+          feePlanAssignments: assignments.size,
+          leads: leads.size
+        }
+      };
+
+    } catch (error) {
+      console.error("Error in mergeStudents model:", error);
+      throw new Error('Failed to merge the students.');
+    }
+  }
+
+// 8. FIND STUDENTS FOR SEVERAL PHONE NUMBERS
+// Returns a Map of phone -> the first student with that phone.
+export const findStudentsByPhones = async (phones) => {
+    try {
+      const studentsByPhone = new Map();
+
+      for (let i = 0; i < phones.length; i += IN_QUERY_LIMIT) {
+        const snapshot = await studentsCollection
+          .where('phone', 'in', phones.slice(i, i + IN_QUERY_LIMIT))
+          .get();
+
+        snapshot.forEach(doc => {
+          if (!studentsByPhone.has(doc.data().phone)) {
+            studentsByPhone.set(doc.data().phone, { id: doc.id, ...doc.data() });
+          }
+        });
+      }
 
+      return studentsByPhone;
 
+    } catch (error) {
+      console.error("Error in findStudentsByPhones model:", error);
+      throw new Error('Failed to search students by phone number.');
+    }
+  }
+
+// 9. CREATE STUDENTS IN BULK - Transactional
+// All the students are written in one transaction (so at most a few hundred
+// at a time), after checking the batches they join have room for them, like
+// checkBatchSpace does for a single student. Students who do not fit are not
+// written.
+// Returns one result per student, in order: the created student, or
+// { batchNotFound: true } or { batchFull: true, capacity }.
+export const createStudents = async (studentsData) => {
+    try {
+      return await db.runTransaction(async (transaction) => {
+        const batchIds = [...new Set(studentsData.map(student => student.batchId).filter(Boolean))];
+        const spaces = new Map();
+        for (const batchId of batchIds) {
+          spaces.set(batchId, await getBatchPlacesLeft(transaction, batchId));
+        }
+
+        const now = new Date().toISOString();
+
+        return studentsData.map(studentData => {
+          const space = studentData.batchId && spaces.get(studentData.batchId);
+          if (space) {
+            if (!space.batch) {
+              return space;
+            }
+            if (space.placesLeft <= 0) {
+              return { batchFull: true, capacity: space.batch.capacity };
+            }
+            space.placesLeft--;
+          }
+
+          const docRef = studentsCollection.doc();
+          const newStudent = {
+            ...studentData,
+            ...(space && { batch: space.batch.name }),
+            searchTokens: buildSearchTokens(studentData),
+            createdAt: now
+          };
+
+          transaction.set(docRef, newStudent);
+          return { id: docRef.id, ...newStudent };
+        });
+      });
+
+    } catch (error) {
+      console.error("Error in createStudents model:", error);
+      throw new Error('Failed to create the students in the database.');
+    }
+  }
+
+// 10. ITERATE OVER STUDENTS A PAGE AT A TIME (for exports)
+export const iterateStudents = ({ filters = [], orderBy = 'createdAt', orderDirection = 'desc' } = {}) =>
+  iterateQuery(applyFilters(studentsCollection, filters).orderBy(orderBy, orderDirection));
+
+// 11. ADD STUDENT NAME AND BATCH TO RECORDS THAT HAVE A studentId
+// Takes an (async) iterable of records and yields them with studentName and
+// studentBatch. Students are looked up a chunk of records at a time and
+// remembered, so each student is read once.
+export async function* withStudentDetails(records, chunkSize = 100) {
+    const studentsById = new Map();
+
+    const resolveChunk = async (chunk) => {
+      const missingIds = [...new Set(chunk.map(record => record.studentId))]
+        .filter(id => id && !studentsById.has(id));
+
+      if (missingIds.length > 0) {
+        const docs = await db.getAll(...missingIds.map(id => studentsCollection.doc(id)));
+        docs.forEach(doc => studentsById.set(doc.id, doc.exists ? doc.data() : null));
+      }
+
+      return chunk.map(record => {
+        const student = studentsById.get(record.studentId);
+        return {
+          ...record,
+          studentName: student?.name || '',
+          studentBatch: student?.batch || ''
+        };
+      });
+    };
+
+    let chunk = [];
+    for await (const record of records) {
+      chunk.push(record);
+      if (chunk.length === chunkSize) {
+        yield* await resolveChunk(chunk);
+        chunk = [];
+      }
+    }
+    if (chunk.length > 0) {
+      yield* await resolveChunk(chunk);
+    }
+  }
@@ -0,0 +1,178 @@
+import bcrypt from 'bcryptjs';
+import { db } from '../config/firebase.js';
+
+const usersCollection = db.collection('users');
+
+const SALT_ROUNDS = 10;
+
+// Compared against when the username does not exist, so unknown and known
+// usernames take the same time to reject
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', SALT_ROUNDS);
+
+// Never hand the password hash to callers outside this module
+const toPublicUser = (doc) => {
+  const { passwordHash, ...user } = doc.data();
+  return { id: doc.id, ...user };
+};
+
+// Data Access Layer (Model) Functions
+
+// 1. GET ALL USERS
+export const getUsers = async () => {
+  try {
+    const snapshot = await usersCollection.orderBy('createdAt', 'asc').get();
+
+    if (snapshot.empty) {
+      return [];
+    }
+
+    const users = [];
+    snapshot.forEach(doc => {
+      users.push(toPublicUser(doc));
+    });
+
+    return users;
+
+  } catch (error) {
+    console.error("Error in getUsers model:", error);
+    throw new Error('Failed to retrieve users from the database.');
+  }
+};
+
+// 2. GET A SINGLE USER BY ID
+export const getUserById = async (id) => {
+  try {
+    const doc = await usersCollection.doc(id).get();
+
+    if (!doc.exists) {
+      return null; // User not found
+    }
+
+    return toPublicUser(doc);
+
+  } catch (error) {
+    console.error("Error in getUserById model:", error);
+    throw new Error('Failed to retrieve the user from the database.');
+  }
+};
+
+// 3. CHECK A USERNAME AND PASSWORD
+// Returns the user when the credentials match, otherwise null.
+export const verifyUserCredentials = async (username, password) => {
+  try {
+    const snapshot = await usersCollection
+      .where('username', '==', username.trim().toLowerCase())
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    const matches = await bcrypt.compare(password, doc.data().passwordHash || '');
+
+    return matches ? toPublicUser(doc) : null;
+
+  } catch (error) {
+    console.error("Error in verifyUserCredentials model:", error);
+    throw new Error('Failed to verify the user credentials.');
+  }
+};
+
+// 4. COUNT USERS - Used to bootstrap the first admin account
+export const hasAnyUsers = async () => {
+  try {
+    const snapshot = await usersCollection.limit(1).get();
+    return !snapshot.empty;
+
+  } catch (error) {
+    console.error("Error in hasAnyUsers model:", error);
+    throw new Error('Failed to check users in the database.');
+  }
+};
+
+// 5. CREATE A NEW USER
+// Returns null when the username is already taken.
+export const createUser = async ({ username, password, ...userData }) => {
+  try {
+    const normalizedUsername = username.trim().toLowerCase();
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    const docRef = usersCollection.doc();
+
+    return await db.runTransaction(async (transaction) => {
+      // Checked inside the transaction so two admins cannot create the same username
+      const existing = await transaction.get(
+        usersCollection.where('username', '==', normalizedUsername).limit(1)
+      );
+
+      if (!existing.empty) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const newUser = {
+        ...userData,
+        username: normalizedUsername,
+        active: true,
+        createdAt: now,
+        passwordChangedAt: now
+      };
+
+      transaction.set(docRef, { ...newUser, passwordHash });
+
+      return {
+        id: docRef.id,
+        ...newUser
+      };
+    });
+
+  } catch (error) {
+    console.error("Error in createUser model:", error);
+    throw new Error('Failed to create a new user in the database.');
+  }
+};
+
+// 6. UPDATE A USER
+export const updateUser = async (id, updateData) => {
+  try {
+    const docRef = usersCollection.doc(id);
+
+    const updatedData = {
+      ...updateData,
+      updatedAt: new Date().toISOString()
+    };
+
+    await docRef.update(updatedData);
+
+    return {
+      id: id,
+      ...updatedData
+    };
+
+  } catch (error) {
+    console.error("Error in updateUser model:", error);
+    throw new Error('Failed to update the user in the database.');
+  }
+};
+
+// 7. RESET A USER'S PASSWORD
+export const setUserPassword = async (id, password) => {
+  try {
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    const now = new Date().toISOString();
+
+    await usersCollection.doc(id).update({
+      passwordHash,
+      passwordChangedAt: now,
+      updatedAt: now
+    });
+
+    return true;
+
+  } catch (error) {
+    console.error("Error in setUserPassword model:", error);
+    throw new Error('Failed to reset the user password.');
+  }
+};
@@ -0,0 +1,33 @@
+import { db } from '../config/firebase.js';
+
+const webhookEventsCollection = db.collection('webhookEvents');
+
+// Data Access Layer (Model) Functions
+
+// 1. CHECK IF A WEBHOOK EVENT WAS ALREADY PROCESSED
+export const isWebhookEventProcessed = async (eventId) => {
+  try {
+    const doc = await webhookEventsCollection.doc(eventId).get();
+    return doc.exists;
+
+  } catch (error) {
+    console.error("Error in isWebhookEventProcessed model:", error);
+    throw new Error('Failed to check the webhook event in the database.');
+  }
+};
+
+// 2. RECORD A PROCESSED WEBHOOK EVENT
+export const recordWebhookEvent = async (eventId, eventData) => {
+  try {
+    // The event ID is the document ID, so replays overwrite instead of duplicating
+    await webhookEventsCollection.doc(eventId).set({
+      ...eventData,
+      processedAt: new Date().toISOString()
+    });
+    return true;
+
+  } catch (error) {
+    console.error("Error in recordWebhookEvent model:", error);
+    throw new Error('Failed to record the webhook event in the database.');
+  }
+};
@@ -4,16 +4,37 @@ import {
   markAttendance, 
   deleteAttendance,
   deleteMonthlyAttendance,
-  getAttendanceSummary
+  getAttendanceSummary,
+  iterateAttendance,
+  markBatchAttendance
 } from '../models/attendanceModels.js';
+import { withStudentDetails } from '../models/studentModels.js';
+import { getAttendancePolicy, setAttendancePolicy } from '../models/settingsModels.js';
 import { db } from '../config/firebase.js';
-import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+import { validateBody } from '../middlewares/validationMiddleware.js';
+import { attendanceSchema, bulkAttendanceSchema, attendancePolicySchema } from '../config/schemas.js';
+import { EXPORT_FORMATS, streamExport, handleExportError } from '../utils/exportUtils.js';
+import { getDateKey, toDateKey, getMonthDateKeys, addDaysToDateKey, isValidPeriod } from '../utils/dateUtils.js';
 
 const router = express.Router();
 const attendanceCollection = db.collection('attendance');
 
+// Longest range a summary can cover, its records are read one day at a time
+const MAX_SUMMARY_DAYS = 366;
+
+const ATTENDANCE_EXPORT_COLUMNS = [
+  { header: 'ID', value: record => record.id },
+  { header: 'Date', value: record => record.date && getDateKey(record.date) },
+  { header: 'Student ID', value: record => record.studentId },
+  { header: 'Student Name', value: record => record.studentName },
+  { header: 'Batch', value: record => record.studentBatch },
+  { header: 'Status', value: record => record.status },
+  { header: 'Notes', value: record => record.notes }
+];
+
 // GET /api/attendance - General attendance query with flexible parameters
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('attendance:read'), async (req, res) => {
   try {
     console.log('📡 Received attendance request:', req.query);
     const { studentId, startDate, endDate, year, month } = req.query;
@@ -34,9 +55,14 @@ router.get('/', authenticateToken, async (req, res) => {
       attendance = await getStudentAttendance(studentId, parseInt(year), parseInt(month));
     } else if (startDate && endDate) {
       // Use date range format - convert to year/month for existing function
-      const start = new Date(startDate);
-      const year = start.getFullYear();
-      const month = start.getMonth() + 1;
+      const startKey = toDateKey(startDate);
+      if (!startKey) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Start date must be a valid date.' 
+        });
+      }
+      const [year, month] = startKey.split('-').map(Number);
       console.log('📅 Using startDate/endDate format, converted to:', { year, month });
       attendance = await getStudentAttendance(studentId, year, month);
     } else {
@@ -66,8 +92,88 @@ router.get('/', authenticateToken, async (req, res) => {
 
 
 
+// GET /api/attendance/export - Download attendance records as a spreadsheet
+// Query params: format (csv | xlsx), studentId, startDate, endDate
+router.get('/export', authenticateToken, requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const { format = 'csv', studentId, startDate, endDate } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` 
+      });
+    }
+
+    if ((startDate && !toDateKey(startDate)) || (endDate && !toDateKey(endDate))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Start and end dates must be valid dates.' 
+      });
+    }
+
+    await streamExport(res, {
+      format,
+      name: 'attendance',
+      columns: ATTENDANCE_EXPORT_COLUMNS,
+      rows: withStudentDetails(iterateAttendance({ studentId, startDate, endDate }))
+    });
+  } catch (error) {
+    handleExportError(res, error, 'attendance');
+  }
+});
+
+// GET /api/attendance/policy - Get how statuses count and the holidays
+router.get('/policy', authenticateToken, requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const policy = await getAttendancePolicy();
+
+    res.json({ 
+      success: true,
+      message: 'Attendance policy retrieved successfully!',
+      data: policy 
+    });
+  } catch (error) {
+    console.error('Error getting attendance policy:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retrieve the attendance policy.' 
+    });
+  }
+});
+
+// PUT /api/attendance/policy - Change how statuses count and/or replace the holidays
+// Body: { statuses: { status: 'attended' | 'missed' | 'excused' }, holidays: [{ date, name }] }
+router.put('/policy', authenticateToken, requirePermission('users:manage'), validateBody(attendancePolicySchema, { partial: true }), async (req, res) => {
+  try {
+    const { holidays } = req.body;
+
+    if (holidays && new Set(holidays.map(holiday => holiday.date)).size !== holidays.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Some fields are invalid.',
+        fields: { holidays: 'Each day can only be listed once.' }
+      });
+    }
+
+    const policy = await setAttendancePolicy(req.body, req.user.id);
+
+    res.json({ 
+      success: true,
+      message: 'Attendance policy updated successfully!',
+      data: policy 
+    });
+  } catch (error) {
+    console.error('Error updating attendance policy:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update the attendance policy.' 
+    });
+  }
+});
+
 // GET /api/attendance/student/:studentId - Get attendance for a student
-router.get('/student/:studentId', authenticateToken, async (req, res) => {
+router.get('/student/:studentId', authenticateToken, requirePermission('attendance:read'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { year, month } = req.query;
@@ -101,7 +207,7 @@ router.get('/student/:studentId', authenticateToken, async (req, res) => {
 });
 
 // POST /api/attendance - Mark attendance
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('attendance:write'), validateBody(attendanceSchema), async (req, res) => {
   try {
     const { studentId, date, status, notes } = req.body;
     
@@ -112,17 +218,9 @@ router.post('/', authenticateToken, async (req, res) => {
       notes: notes ? 'has notes' : 'no notes'
     });
     
-    if (!studentId || !date || !status) {
-      console.log('❌ Missing required fields for attendance marking');
-      return res.status(400).json({ 
-        success: false,
-        error: 'Student ID, date, and status are required fields.' 
-      });
-    }
-    
     const attendanceRecord = await markAttendance({
       studentId,
-      date: new Date(date).toISOString(),
+      date,
       status,
       notes: notes || ''
     });
@@ -145,8 +243,46 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/attendance/bulk - Mark attendance for a whole batch session
+// Body: { batchId, date, records: [{ studentId, status, notes }] } (records may be empty)
+router.post('/bulk', authenticateToken, requirePermission('attendance:write'), validateBody(bulkAttendanceSchema), async (req, res) => {
+  try {
+    const { batchId, date } = req.body;
+    const records = req.body.records || [];
+
+    if (new Set(records.map(record => record.studentId)).size !== records.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Some fields are invalid.',
+        fields: { records: 'Each student can only be listed once.' }
+      });
+    }
+
+    const result = await markBatchAttendance(batchId, date, records);
+
+    if (result.batchNotFound) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Batch not found.' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      message: 'Batch attendance marked successfully!',
+      data: result 
+    });
+  } catch (error) {
+    console.error('Error marking batch attendance:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to mark attendance for the batch.' 
+    });
+  }
+});
+
 // DELETE /api/attendance/:id - Delete attendance record
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('attendance:delete'), async (req, res) => {
   try {
     const deleted = await deleteAttendance(req.params.id);
     
@@ -171,7 +307,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/attendance/student/:studentId/month - Delete monthly attendance
-router.delete('/student/:studentId/month', authenticateToken, async (req, res) => {
+router.delete('/student/:studentId/month', authenticateToken, requirePermission('attendance:delete'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { year, month } = req.query;
@@ -200,19 +336,63 @@ router.delete('/student/:studentId/month', authenticateToken, async (req, res) =
 });
 
 // GET /api/attendance/student/:studentId/summary - Get attendance summary
-router.get('/student/:studentId/summary', authenticateToken, async (req, res) => {
+// Query params: startDate and endDate, or year and month
+router.get('/student/:studentId/summary', authenticateToken, requirePermission('attendance:read'), async (req, res) => {
   try {
     const { studentId } = req.params;
-    const { year, month } = req.query;
-    
-    if (!year || !month) {
+    const { startDate, endDate, year, month } = req.query;
+
+    let startKey;
+    let endKey;
+
+    if (startDate || endDate) {
+      startKey = toDateKey(startDate);
+      endKey = toDateKey(endDate);
+      if (!startKey || !endKey) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Start and end dates must be valid dates.' 
+        });
+      }
+    } else if (year && month) {
+      if (!isValidPeriod(`${year}-${String(month).padStart(2, '0')}`)) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Year and month must be a valid month.' 
+        });
+      }
+      const dateKeys = getMonthDateKeys(parseInt(year), parseInt(month));
+      startKey = dateKeys[0];
+      endKey = dateKeys[dateKeys.length - 1];
+    } else {
       return res.status(400).json({ 
         success: false,
-        error: 'Year and month parameters are required.' 
+        error: 'Either (startDate and endDate) or (year and month) parameters are required.' 
+      });
+    }
+
+    if (startKey > endKey) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'End date cannot be before the start date.' 
+      });
+    }
+
+    if (addDaysToDateKey(startKey, MAX_SUMMARY_DAYS - 1) < endKey) {
+      return res.status(400).json({ 
+        success: false,
+        error: `A summary can cover at most ${MAX_SUMMARY_DAYS} days.` 
       });
     }
     
-    const summary = await getAttendanceSummary(studentId, parseInt(year), parseInt(month));
+    const summary = await getAttendanceSummary(studentId, startKey, endKey);
+
+    if (!summary) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Student not found.' 
+      });
+    }
     
     res.json({ 
       success: true,
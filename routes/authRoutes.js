@@ -1,54 +1,133 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { verifyUserCredentials, hasAnyUsers, createUser, updateUser, getUserById } from '../models/userModels.js';
+import { createSession, rotateRefreshToken, revokeSession } from '../models/sessionModels.js';
+import { getLoginLockStatus, recordFailedLogin, clearFailedLogins } from '../models/loginAttemptModels.js';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
-// POST /api/auth/login - Environment-based authentication
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Build the short-lived access JWT and the public user object for a session
+const issueToken = (user, sessionId) => {
+  const isAdmin = user.role === 'admin';
+
+  const token = jwt.sign(
+    { 
+      userId: user.id, 
+      username: user.username,
+      role: user.role,
+      isAdmin,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      name: user.name || '',
+      role: user.role,
+      isAdmin
+    },
+    token
+  };
+};
+
+// Constant-time string comparison (hashing first makes the lengths equal)
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+const sendLockedOut = (res, lockStatus) => {
+  res.set('Retry-After', String(lockStatus.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: 'Too many failed login attempts. Please try again later.',
+    retryAfterSeconds: lockStatus.retryAfterSeconds
+  });
+};
+
+// POST /api/auth/login - Staff account authentication
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
 
     // Validate input
-    if (!username || !password) {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       return res.status(400).json({
         success: false,
         error: 'Username and password are required'
       });
     }
 
-    // Check against environment variables
-    if (username === process.env.ADMIN_USERNAME && password === process.env.ADMIN_PASSWORD) {
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: 'admin', 
-          username: username,
-          isAdmin: true 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '3h' }
-      );
-
-      // Return success response
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: { 
-            id: 'admin', 
-            username: username, 
-            isAdmin: true 
-          },
-          token
-        }
+    const lockStatus = await getLoginLockStatus(username, req.ip);
+    if (lockStatus.locked) {
+      return sendLockedOut(res, lockStatus);
+    }
+
+    let user = await verifyUserCredentials(username, password);
+
+    // First run: the env admin credentials create the first admin account
+    if (!user && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD &&
+        safeEqual(username, process.env.ADMIN_USERNAME) &&
+        safeEqual(password, process.env.ADMIN_PASSWORD) &&
+        !(await hasAnyUsers())) {
+      console.log('No staff accounts found, creating the first admin from environment variables');
+      user = await createUser({
+        username,
+        password,
+        name: 'Administrator',
+        role: 'admin',
+        createdBy: null
       });
-    } else {
+    }
+
+    if (!user) {
+      const failedStatus = await recordFailedLogin(username, req.ip);
+      if (failedStatus.locked) {
+        return sendLockedOut(res, failedStatus);
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
+    // A disabled account keeps its failed attempts until it can sign in again
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been disabled'
+      });
+    }
+
+    await clearFailedLogins(username);
+
+    await updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+
+    const { session, refreshToken } = await createSession({
+      userId: user.id,
+      userAgent: req.header('User-Agent'),
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...issueToken(user, session.id),
+        refreshToken
+      }
+    });
+
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -58,49 +137,112 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// GET /api/auth/verify - Verify token (simplified)
-router.get('/verify', async (req, res) => {
+// POST /api/auth/refresh - Exchange a refresh token for new access and refresh tokens
+router.post('/refresh', async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
       return res.status(401).json({
         success: false,
-        error: 'No token provided'
+        error: 'Invalid or expired refresh token'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Re-read the user so role changes and disabled accounts take effect
+    const user = await getUserById(rotated.session.userId);
+    if (!user || !user.active) {
+      await revokeSession(rotated.session.id, 'user_disabled');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        ...issueToken(user, rotated.session.id),
+        refreshToken: rotated.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/auth/verify - Verify token and its session
+router.get('/verify', authenticateToken, async (req, res) => {
+  try {
+    // The account may have been disabled since the token was issued
+    const user = await getUserById(req.user.id);
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token'
+      });
+    }
     
-    // For environment-based auth, we don't need to check database
-    // JWT validation is sufficient
     res.json({
       success: true,
       message: 'Token is valid',
       data: { 
         user: { 
-          id: decoded.userId, 
-          username: decoded.username, 
-          isAdmin: decoded.isAdmin || false 
+          id: user.id, 
+          username: user.username, 
+          name: user.name || '',
+          role: user.role,
+          isAdmin: user.role === 'admin' 
         } 
       }
     });
 
   } catch (error) {
     console.error('Token verification error:', error);
-    res.status(401).json({
+    res.status(500).json({
       success: false,
-      error: 'Invalid token'
+      error: 'Internal server error'
     });
   }
 });
 
-// POST /api/auth/logout - User logout
+// POST /api/auth/logout - Revoke the current session
+// An expired access token is still accepted, so clients can always log out.
 router.post('/logout', async (req, res) => {
   try {
-    // Since we're using JWT tokens (stateless), we don't need to invalidate the token on the server
-    // The frontend will handle removing the token from localStorage
-    // In a production environment, you might want to implement token blacklisting
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    let sessionId = null;
+
+    if (token) {
+      try {
+        sessionId = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true }).sid;
+      } catch (error) {
+        sessionId = null;
+      }
+    }
+
+    if (!sessionId) {
+      return res.status(401).json({
+        success: false,
+        error: 'No valid token provided'
+      });
+    }
+
+    await revokeSession(sessionId, 'logout');
     
     res.json({
       success: true,
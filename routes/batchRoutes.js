@@ -0,0 +1,229 @@
+import express from 'express';
+import {
+  getBatches,
+  getBatchById,
+  createBatch,
+  updateBatch,
+  deleteBatch,
+  getBatchStudents
+} from '../models/batchModels.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+import { validateBody } from '../middlewares/validationMiddleware.js';
+import { batchSchema } from '../config/schemas.js';
+
+const router = express.Router();
+
+// Check the rules between batch fields that the schema cannot express.
+// Returns { field: message } or null.
+const validateBatchRanges = ({ startTime, endTime, minAge, maxAge }) => {
+  const errors = {};
+  if (startTime && endTime && startTime >= endTime) {
+    errors.endTime = 'End time must be after the start time.';
+  }
+  if (minAge != null && maxAge != null && minAge > maxAge) {
+    errors.maxAge = 'Maximum age cannot be less than the minimum age.';
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+// GET /api/batches - Get all batches with their student counts
+router.get('/', authenticateToken, requirePermission('batches:read'), async (req, res) => {
+  try {
+    const batches = await getBatches();
+
+    res.json({
+      success: true,
+      message: 'Batches retrieved successfully!',
+      data: batches
+    });
+  } catch (error) {
+    console.error('Error getting batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve batches.'
+    });
+  }
+});
+
+// GET /api/batches/:id - Get a single batch by ID
+router.get('/:id', authenticateToken, requirePermission('batches:read'), async (req, res) => {
+  try {
+    const batch = await getBatchById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Batch retrieved successfully!',
+      data: batch
+    });
+  } catch (error) {
+    console.error('Error getting batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve the batch.'
+    });
+  }
+});
+
+// GET /api/batches/:id/students - Get the roster of a batch
+router.get('/:id/students', authenticateToken, requirePermission('batches:read'), requirePermission('students:read'), async (req, res) => {
+  try {
+    const students = await getBatchStudents(req.params.id);
+
+    if (!students) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Batch students retrieved successfully!',
+      data: students,
+      meta: {
+        count: students.length
+      }
+    });
+  } catch (error) {
+    console.error('Error getting batch students:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve the batch students.'
+    });
+  }
+});
+
+// POST /api/batches - Create a new batch
+router.post('/', authenticateToken, requirePermission('batches:write'), validateBody(batchSchema), async (req, res) => {
+  try {
+    const rangeErrors = validateBatchRanges(req.body);
+    if (rangeErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some fields are invalid.',
+        fields: rangeErrors
+      });
+    }
+
+    const result = await createBatch(req.body);
+
+    if (result.nameTaken) {
+      return res.status(409).json({
+        success: false,
+        error: 'A batch with this name already exists.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch created successfully!',
+      data: result.batch
+    });
+  } catch (error) {
+    console.error('Error creating batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create the batch.'
+    });
+  }
+});
+
+// PUT /api/batches/:id - Update a batch
+router.put('/:id', authenticateToken, requirePermission('batches:write'), validateBody(batchSchema, { partial: true }), async (req, res) => {
+  try {
+    const batch = await getBatchById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found.'
+      });
+    }
+
+    // Compare against the stored value of the fields that are not changing
+    const rangeErrors = validateBatchRanges({ ...batch, ...req.body });
+    if (rangeErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some fields are invalid.',
+        fields: rangeErrors
+      });
+    }
+
+    const result = await updateBatch(req.params.id, req.body);
+
+    if (result.notFound) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found.'
+      });
+    }
+
+    if (result.nameTaken) {
+      return res.status(409).json({
+        success: false,
+        error: 'A batch with this name already exists.'
+      });
+    }
+
+    if (result.capacityTooLow) {
+      return res.status(409).json({
+        success: false,
+        error: `Capacity cannot be less than the ${result.studentCount} students already in the batch.`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Batch updated successfully!',
+      data: result.batch
+    });
+  } catch (error) {
+    console.error('Error updating batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update the batch.'
+    });
+  }
+});
+
+// DELETE /api/batches/:id - Delete a batch that has no students
+router.delete('/:id', authenticateToken, requirePermission('batches:write'), async (req, res) => {
+  try {
+    const result = await deleteBatch(req.params.id);
+
+    if (result.notFound) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found.'
+      });
+    }
+
+    if (result.hasStudents) {
+      return res.status(409).json({
+        success: false,
+        error: `Move the ${result.studentCount} students out of the batch before deleting it.`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Batch deleted successfully!'
+    });
+  } catch (error) {
+    console.error('Error deleting batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete the batch.'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,362 @@
+import express from 'express';
+import {
+  getFeePlans,
+  getFeePlanById,
+  createFeePlan,
+  updateFeePlan,
+  deleteFeePlan,
+  createFeePlanAssignment,
+  getFeePlanAssignments,
+  deleteFeePlanAssignment
+} from '../models/feePlanModels.js';
+import { generateDuesForAllStudents, generateDuesForAssignment } from '../models/ledgerModels.js';
+import { getStudentById } from '../models/studentModels.js';
+import { getBatchById } from '../models/batchModels.js';
+import { authenticateToken, authenticateCron, requirePermission } from '../middlewares/authMiddleware.js';
+import { isValidPeriod } from '../utils/dateUtils.js';
+
+const router = express.Router();
+
+const BILLING_CYCLES = ['monthly', 'quarterly', 'one_time'];
+
+// Validate fee plan fields, returns an error message or null
+const validateFeePlan = ({ name, billingCycle, amount, dueDay }, partial = false) => {
+  if (!partial && (!name || !billingCycle || amount === undefined)) {
+    return 'Name, billing cycle, and amount are required fields.';
+  }
+  if (billingCycle !== undefined && !BILLING_CYCLES.includes(billingCycle)) {
+    return `Billing cycle must be one of: ${BILLING_CYCLES.join(', ')}.`;
+  }
+  if (amount !== undefined && !(parseFloat(amount) > 0)) {
+    return 'Amount must be a positive number.';
+  }
+  if (dueDay !== undefined && !(parseInt(dueDay) >= 1 && parseInt(dueDay) <= 28)) {
+    return 'Due day must be between 1 and 28.';
+  }
+  return null;
+};
+
+// GET /api/fee-plans - Get all fee plans
+router.get('/', authenticateToken, requirePermission('feePlans:read'), async (req, res) => {
+  try {
+    const feePlans = await getFeePlans();
+
+    res.json({
+      success: true,
+      message: 'Fee plans retrieved successfully!',
+      data: feePlans
+    });
+  } catch (error) {
+    console.error('Error getting fee plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve fee plans.'
+    });
+  }
+});
+
+// Response for a run of the dues job
+const sendDuesJobResult = (res, result) => {
+  const progress = `Generated ${result.duesCreated} dues for ${result.studentsProcessed} students`;
+
+  res.json({
+    success: true,
+    message: result.completed
+      ? `${progress} for ${result.period}.`
+      : `${progress} for ${result.period} so far. Run again to continue.`,
+    data: result
+  });
+};
+
+// GET /api/fee-plans/generate-dues/cron - Hourly Vercel cron run of the dues job (see vercel.json)
+router.get('/generate-dues/cron', authenticateCron, async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    sendDuesJobResult(res, await generateDuesForAllStudents());
+  } catch (error) {
+    console.error('Error running the scheduled dues generation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate dues.'
+    });
+  }
+});
+
+// POST /api/fee-plans/generate-dues - Run the dues job for a period now
+// Continues the period's job where it stopped. restart: true bills every
+// student again (dues that already exist are skipped).
+router.post('/generate-dues', authenticateToken, requirePermission('feePlans:write'), async (req, res) => {
+  try {
+    const { period, restart } = req.body;
+
+    if (period !== undefined && !isValidPeriod(period)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Period must be in YYYY-MM format.'
+      });
+    }
+
+    sendDuesJobResult(res, await generateDuesForAllStudents(period, { restart: restart === true }));
+  } catch (error) {
+    console.error('Error generating dues:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate dues.'
+    });
+  }
+});
+
+// DELETE /api/fee-plans/assignments/:assignmentId - Remove a fee plan assignment
+router.delete('/assignments/:assignmentId', authenticateToken, requirePermission('feePlans:write'), async (req, res) => {
+  try {
+    const deleted = await deleteFeePlanAssignment(req.params.assignmentId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee plan assignment not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fee plan assignment deleted successfully!'
+    });
+  } catch (error) {
+    console.error('Error deleting fee plan assignment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete the fee plan assignment.'
+    });
+  }
+});
+
+// GET /api/fee-plans/:id - Get a single fee plan by ID
+router.get('/:id', authenticateToken, requirePermission('feePlans:read'), async (req, res) => {
+  try {
+    const feePlan = await getFeePlanById(req.params.id);
+
+    if (!feePlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee plan not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fee plan retrieved successfully!',
+      data: feePlan
+    });
+  } catch (error) {
+    console.error('Error getting fee plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve the fee plan.'
+    });
+  }
+});
+
+// POST /api/fee-plans - Create a new fee plan
+router.post('/', authenticateToken, requirePermission('feePlans:write'), async (req, res) => {
+  try {
+    const { name, billingCycle, amount, dueDay, description } = req.body;
+
+    const validationError = validateFeePlan(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const newFeePlan = await createFeePlan({
+      name,
+      billingCycle,
+      amount: parseFloat(amount),
+      dueDay: dueDay !== undefined ? parseInt(dueDay) : 10,
+      description: description || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee plan created successfully!',
+      data: newFeePlan
+    });
+  } catch (error) {
+    console.error('Error creating fee plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create the fee plan.'
+    });
+  }
+});
+
+// PUT /api/fee-plans/:id - Update a fee plan
+// Changes apply to dues generated from now on, existing dues keep their amount.
+router.put('/:id', authenticateToken, requirePermission('feePlans:write'), async (req, res) => {
+  try {
+    const { name, billingCycle, amount, dueDay, description, active } = req.body;
+
+    const validationError = validateFeePlan(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const feePlan = await getFeePlanById(req.params.id);
+    if (!feePlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee plan not found.'
+      });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (billingCycle !== undefined) updateData.billingCycle = billingCycle;
+    if (amount !== undefined) updateData.amount = parseFloat(amount);
+    if (dueDay !== undefined) updateData.dueDay = parseInt(dueDay);
+    if (description !== undefined) updateData.description = description;
+    if (active !== undefined) updateData.active = Boolean(active);
+
+    const updatedFeePlan = await updateFeePlan(req.params.id, updateData);
+
+    res.json({
+      success: true,
+      message: 'Fee plan updated successfully!',
+      data: updatedFeePlan
+    });
+  } catch (error) {
+    console.error('Error updating fee plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update the fee plan.'
+    });
+  }
+});
+
+// DELETE /api/fee-plans/:id - Delete a fee plan and its assignments
+router.delete('/:id', authenticateToken, requirePermission('feePlans:write'), async (req, res) => {
+  try {
+    const deleted = await deleteFeePlan(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee plan not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fee plan deleted successfully!'
+    });
+  } catch (error) {
+    console.error('Error deleting fee plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete the fee plan.'
+    });
+  }
+});
+
+// GET /api/fee-plans/:id/assignments - Get the students and batches on a fee plan
+router.get('/:id/assignments', authenticateToken, requirePermission('feePlans:read'), async (req, res) => {
+  try {
+    const assignments = await getFeePlanAssignments(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Fee plan assignments retrieved successfully!',
+      data: assignments
+    });
+  } catch (error) {
+    console.error('Error getting fee plan assignments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve fee plan assignments.'
+    });
+  }
+});
+
+// POST /api/fee-plans/:id/assignments - Assign a fee plan to a student or a batch
+router.post('/:id/assignments', authenticateToken, requirePermission('feePlans:write'), async (req, res) => {
+  try {
+    const { studentId, batchId, startPeriod, endPeriod } = req.body;
+
+    // Exactly one target is required
+    if (Boolean(studentId) === Boolean(batchId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either a student ID or a batch ID.'
+      });
+    }
+
+    if (!isValidPeriod(startPeriod) || (endPeriod && !isValidPeriod(endPeriod))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start period (and end period, if given) must be in YYYY-MM format.'
+      });
+    }
+
+    if (endPeriod && endPeriod < startPeriod) {
+      return res.status(400).json({
+        success: false,
+        error: 'End period cannot be before start period.'
+      });
+    }
+
+    const feePlan = await getFeePlanById(req.params.id);
+    if (!feePlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee plan not found.'
+      });
+    }
+
+    if (studentId && !(await getStudentById(studentId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found.'
+      });
+    }
+
+    if (batchId && !(await getBatchById(batchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found.'
+      });
+    }
+
+    const assignment = await createFeePlanAssignment({
+      feePlanId: req.params.id,
+      targetType: studentId ? 'student' : 'batch',
+      targetId: studentId || batchId,
+      startPeriod,
+      endPeriod: endPeriod || null
+    });
+
+    // Bill the students it applies to now, so their ledgers show the plan
+    const { duesCreated } = await generateDuesForAssignment(assignment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee plan assigned successfully!',
+      data: assignment,
+      meta: {
+        duesCreated
+      }
+    });
+  } catch (error) {
+    console.error('Error assigning fee plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign the fee plan.'
+    });
+  }
+});
+
+export default router;
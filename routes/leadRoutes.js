@@ -1,22 +1,120 @@
 // routes/leadRoutes.js
 import express from 'express';
-import { createLead, getLeads, getLeadById, updateLead, deleteLead } from '../models/leadModels.js';
-import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { createLead, getLeads, getLeadById, updateLead, deleteLead, getLeadStatusHistory, getLeadEnquiries, convertLeadToStudent, findLeadsByPhone, mergeLeads, findLeadsByPhones, createLeads, iterateLeads } from '../models/leadModels.js';
+import { getFollowUpsForAssignee, getLeadFollowUps, createFollowUp, logFollowUpOutcome } from '../models/followUpModels.js';
+import { getLeadPipeline, setLeadPipeline } from '../models/settingsModels.js';
+import { getUserById } from '../models/userModels.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+import { validateBody } from '../middlewares/validationMiddleware.js';
+import { leadSchema, studentSchema, followUpSchema, followUpOutcomeSchema } from '../config/schemas.js';
+import { decodeCursor } from '../utils/firestoreUtils.js';
+import { buildListFilters } from '../utils/listFilterUtils.js';
+import { validateSchema, pickSchema } from '../utils/schemaUtils.js';
+import { mapCsvRows, runImport, readImportRequest, parseCsvBody } from '../utils/importUtils.js';
+import { EXPORT_FORMATS, streamExport, handleExportError } from '../utils/exportUtils.js';
 
 const router = express.Router();
 
-// GET /api/leads - Get all leads with pagination
-router.get('/',authenticateToken, async (req, res) => {
+// Query params the leads list and export can filter on
+const LEAD_LIST_FILTERS = {
+  equality: ['status', 'source'],
+  dateField: 'createdAt',
+  search: true
+};
+
+const FOLLOW_UP_DUE_FILTERS = ['today', 'overdue'];
+const IMPORT_LEAD_FIELDS = ['name', 'phone', 'source', 'status', 'createdAt'];
+
+const LEAD_EXPORT_COLUMNS = [
+  { header: 'ID', value: lead => lead.id },
+  { header: 'Name', value: lead => lead.name },
+  { header: 'Phone', value: lead => lead.phone },
+  { header: 'Email', value: lead => lead.email },
+  { header: 'Source', value: lead => lead.source },
+  { header: 'Status', value: lead => lead.status },
+  { header: 'UTM Source', value: lead => lead.utm?.source },
+  { header: 'UTM Campaign', value: lead => lead.utm?.campaign },
+  { header: 'Student ID', value: lead => lead.studentId },
+  { header: 'Created At', value: lead => lead.createdAt },
+  { header: 'Converted At', value: lead => lead.convertedAt }
+];
+
+// Who made a change, as stored in the status history
+const getActor = (req) => ({ id: req.user?.id || null, username: req.user?.username || null });
+
+// Check the name, phone and source of an imported lead.
+// Returns { record } with the normalized phone, or { error }.
+const validateImportedLead = (values) => {
+  const { value, errors } = validateSchema(pickSchema(leadSchema, ['name', 'phone', 'source']), values);
+  return errors ? { error: Object.values(errors).join(' ') } : { record: value };
+};
+
+// Validate a pipeline definition, returns an error message or null
+const validatePipeline = ({ initialStage, convertedStage, stages, transitions }) => {
+  if (!Array.isArray(stages) || stages.length === 0 || !stages.every(stage => typeof stage === 'string' && stage.trim())) {
+    return 'Stages must be a non-empty array of names.';
+  }
+  if (new Set(stages).size !== stages.length) {
+    return 'Stage names must be unique.';
+  }
+  if (!stages.includes(initialStage)) {
+    return 'Initial stage must be one of the stages.';
+  }
+  if (!stages.includes(convertedStage)) {
+    return 'Converted stage must be one of the stages.';
+  }
+  if (!transitions || typeof transitions !== 'object') {
+    return 'Transitions must map each stage to the stages it can move to.';
+  }
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!stages.includes(from) || !Array.isArray(targets) || !targets.every(to => stages.includes(to))) {
+      return `Transitions from '${from}' refer to unknown stages.`;
+    }
+  }
+  return null;
+};
+
+// GET /api/leads - Get all leads with pagination and filters
+// Filter query params: status, source, from, to (createdAt), search (name or phone prefix)
+router.get('/',authenticateToken, requirePermission('leads:read'), async (req, res) => {
   try {
     // OPTIMIZED: Add pagination support
-    const { limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc' } = req.query;
+    const { limit = 100, offset = 0, orderDirection = 'desc', cursor } = req.query;
+
+    // A cursor from a previous page's meta.nextCursor carries its own sort order
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid cursor.' 
+      });
+    }
     
-    const leads = await getLeads(
+    const { filters, orderBy = 'createdAt', error: filterError } = buildListFilters(req.query, LEAD_LIST_FILTERS);
+    if (filterError) {
+      return res.status(400).json({ 
+        success: false,
+        error: filterError 
+      });
+    }
+    
+    const result = await getLeads(
       parseInt(limit), 
       parseInt(offset), 
       orderBy, 
-      orderDirection
+      orderDirection,
+      decodedCursor,
+      filters
     );
+
+    if (result.unsupportedQuery) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This combination of filters and sorting is not supported.' 
+      });
+    }
+
+    const { leads, nextCursor } = result;
     
     // Add caching headers for better performance
     res.set({
@@ -31,7 +129,8 @@ router.get('/',authenticateToken, async (req, res) => {
       meta: {
         count: leads.length,
         limit: parseInt(limit),
-        offset: parseInt(offset)
+        offset: parseInt(offset),
+        nextCursor
       }
     });
   } catch (error) {
@@ -43,8 +142,128 @@ router.get('/',authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/leads/pipeline - Get the pipeline stages and allowed transitions
+router.get('/pipeline', authenticateToken, requirePermission('leads:read'), async (req, res) => {
+  try {
+    const pipeline = await getLeadPipeline();
+
+    res.json({ 
+      success: true,
+      message: 'Lead pipeline retrieved successfully!',
+      data: pipeline 
+    });
+  } catch (error) {
+    console.error('Error getting lead pipeline:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retrieve the lead pipeline.' 
+    });
+  }
+});
+
+// PUT /api/leads/pipeline - Replace the pipeline stages and transitions
+router.put('/pipeline', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { initialStage, convertedStage, stages, transitions } = req.body;
+
+    const validationError = validatePipeline(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false,
+        error: validationError 
+      });
+    }
+
+    // Stages without an entry cannot move anywhere
+    const completeTransitions = {};
+    stages.forEach(stage => {
+      completeTransitions[stage] = transitions[stage] || [];
+    });
+
+    const pipeline = await setLeadPipeline({
+      initialStage,
+      convertedStage,
+      stages,
+      transitions: completeTransitions
+    }, req.user.id);
+
+    res.json({ 
+      success: true,
+      message: 'Lead pipeline updated successfully!',
+      data: pipeline 
+    });
+  } catch (error) {
+    console.error('Error updating lead pipeline:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update the lead pipeline.' 
+    });
+  }
+});
+
+// GET /api/leads/follow-ups - Get the logged-in user's open follow-ups
+// Query param: due (today | overdue)
+router.get('/follow-ups', authenticateToken, requirePermission('leads:read'), async (req, res) => {
+  try {
+    const { due } = req.query;
+
+    if (due !== undefined && !FOLLOW_UP_DUE_FILTERS.includes(due)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Due must be one of: ${FOLLOW_UP_DUE_FILTERS.join(', ')}.` 
+      });
+    }
+
+    const followUps = await getFollowUpsForAssignee(req.user.id, due);
+    
+    res.json({ 
+      success: true,
+      message: 'Follow-ups retrieved successfully!',
+      data: followUps 
+    });
+  } catch (error) {
+    console.error('Error getting follow-ups:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retrieve follow-ups.' 
+    });
+  }
+});
+
+// GET /api/leads/export - Download leads as a spreadsheet
+// Query params: format (csv | xlsx), orderBy, orderDirection and the list filters
+router.get('/export', authenticateToken, requirePermission('leads:read'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` 
+      });
+    }
+
+    const { filters, orderBy, error: filterError } = buildListFilters(req.query, LEAD_LIST_FILTERS);
+    if (filterError) {
+      return res.status(400).json({ 
+        success: false,
+        error: filterError 
+      });
+    }
+
+    await streamExport(res, {
+      format,
+      name: 'leads',
+      columns: LEAD_EXPORT_COLUMNS,
+      rows: iterateLeads({ filters, orderBy, orderDirection: req.query.orderDirection })
+    });
+  } catch (error) {
+    handleExportError(res, error, 'leads');
+  }
+});
+
 // GET /api/leads/:id - Get a single lead by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('leads:read'), async (req, res) => {
   try {
     const lead = await getLeadById(req.params.id);
     
@@ -69,27 +288,232 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/leads - Create a new lead
-router.post('/', authenticateToken, async (req, res) => {
+// GET /api/leads/:id/history - Get the status history of a lead
+router.get('/:id/history', authenticateToken, requirePermission('leads:read'), async (req, res) => {
   try {
-    console.log('Received POST request to create lead:', req.body);
+    const lead = await getLeadById(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Lead not found.' 
+      });
+    }
+
+    const history = await getLeadStatusHistory(req.params.id);
     
-    const { name,phone,source } = req.body;
+    res.json({ 
+      success: true,
+      message: 'Lead history retrieved successfully!',
+      data: history 
+    });
+  } catch (error) {
+    console.error('Error getting lead history:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retrieve the lead history.' 
+    });
+  }
+});
+
+// GET /api/leads/:id/enquiries - Get the repeat website enquiries of a lead
+router.get('/:id/enquiries', authenticateToken, requirePermission('leads:read'), async (req, res) => {
+  try {
+    const lead = await getLeadById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found.'
+      });
+    }
+
+    const enquiries = await getLeadEnquiries(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Lead enquiries retrieved successfully!',
+      data: enquiries
+    });
+  } catch (error) {
+    console.error('Error getting lead enquiries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve the lead enquiries.'
+    });
+  }
+});
+
+// GET /api/leads/:id/follow-ups - Get the follow-ups of a lead
+router.get('/:id/follow-ups', authenticateToken, requirePermission('leads:read'), async (req, res) => {
+  try {
+    const lead = await getLeadById(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Lead not found.' 
+      });
+    }
+
+    const followUps = await getLeadFollowUps(req.params.id);
+    
+    res.json({ 
+      success: true,
+      message: 'Lead follow-ups retrieved successfully!',
+      data: followUps 
+    });
+  } catch (error) {
+    console.error('Error getting lead follow-ups:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retrieve the lead follow-ups.' 
+    });
+  }
+});
+
+// POST /api/leads/:id/follow-ups - Schedule a follow-up on a lead
+// Assigned to the logged-in user unless assignedTo is given.
+router.post('/:id/follow-ups', authenticateToken, requirePermission('leads:write'), validateBody(followUpSchema), async (req, res) => {
+  try {
+    const { dueAt, assignedTo, notes } = req.body;
+
+    const lead = await getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Lead not found.' 
+      });
+    }
+
+    const assigneeId = assignedTo || req.user.id;
+    const assignee = await getUserById(assigneeId);
+    if (!assignee || assignee.active === false) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Assignee must be an active user.' 
+      });
+    }
+
+    const followUp = await createFollowUp({
+      leadId: req.params.id,
+      dueAt,
+      assignedTo: assigneeId,
+      notes: notes || '',
+      createdBy: getActor(req)
+    });
     
-    // Validate required fields
-    if (!name || !phone) {
+    res.status(201).json({ 
+      success: true,
+      message: 'Follow-up scheduled successfully!',
+      data: followUp 
+    });
+  } catch (error) {
+    console.error('Error creating follow-up:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to schedule the follow-up.' 
+    });
+  }
+});
+
+// POST /api/leads/:id/follow-ups/:followUpId/outcome - Log a follow-up outcome
+// An optional status moves the lead forward in the pipeline at the same time.
+router.post('/:id/follow-ups/:followUpId/outcome', authenticateToken, requirePermission('leads:write'), validateBody(followUpOutcomeSchema), async (req, res) => {
+  try {
+    const { outcome, notes, status } = req.body;
+
+    const pipeline = await getLeadPipeline();
+
+    if (status !== undefined && !pipeline.stages.includes(status)) {
       return res.status(400).json({ 
         success: false,
-        error: 'Name and phone are required fields.' 
+        error: `Status must be one of: ${pipeline.stages.join(', ')}.` 
       });
     }
+
+    const result = await logFollowUpOutcome(req.params.id, req.params.followUpId, {
+      outcome,
+      notes: notes || '',
+      status
+    }, {
+      pipeline,
+      changedBy: getActor(req)
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Follow-up not found.' 
+      });
+    }
+
+    if (result.alreadyCompleted) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Follow-up outcome has already been logged.' 
+      });
+    }
+
+    if (result.conversionRequired) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Convert the lead into a student to move it to the converted stage.' 
+      });
+    }
+
+    if (result.invalidTransition) {
+      return res.status(409).json({ 
+        success: false,
+        error: `A lead cannot move from '${result.from}' to '${result.to}'.`,
+        allowedTransitions: pipeline.transitions[result.from] || []
+      });
+    }
+
+    res.json({ 
+      success: true,
+      message: 'Follow-up outcome logged successfully!',
+      data: result 
+    });
+  } catch (error) {
+    console.error('Error logging follow-up outcome:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to log the follow-up outcome.' 
+    });
+  }
+});
+
+// POST /api/leads - Create a new lead
+// New leads always start at the pipeline's initial stage.
+router.post('/', authenticateToken, requirePermission('leads:write'), validateBody({ ...leadSchema, allowDuplicate: { type: 'boolean' } }), async (req, res) => {
+  try {
+    console.log('Received POST request to create lead:', req.body);
     
-    const newLead = await createLead({ name, phone, source });
+    const { allowDuplicate, status, ...record } = req.body;
+
+    // A lead with the same phone is most likely the same parent. It is only
+    // created when the caller confirms with allowDuplicate.
+    const duplicates = await findLeadsByPhone(record.phone);
+    if (duplicates.length > 0 && allowDuplicate !== true) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'A lead with this phone number already exists.',
+        existing: duplicates[0]
+      });
+    }
+    
+    const pipeline = await getLeadPipeline();
+    const newLead = await createLead({ ...record, status: pipeline.initialStage }, getActor(req));
     
     res.status(201).json({ 
       success: true,
       message: 'Lead created successfully!', 
-      data: newLead 
+      data: newLead,
+      ...(duplicates.length > 0 && {
+        warnings: ['Another lead has the same phone number.'],
+        existing: duplicates[0]
+      })
     });
     
   } catch (error) {
@@ -101,14 +525,176 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/leads/import - Import leads from a CSV file
+// Body: the CSV file as text/csv, with ?mapping={ field: 'CSV column' } (JSON)
+// and ?dryRun=true, or JSON { csv: file contents, mapping, dryRun }
+// Fields: name, phone, source, status (a pipeline stage) and createdAt.
+// Rows whose phone matches an existing lead, or an earlier row, are skipped.
+router.post('/import', authenticateToken, requirePermission('leads:write'), parseCsvBody, async (req, res) => {
+  try {
+    const { csv, mapping, dryRun, error } = readImportRequest(req);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        error 
+      });
+    }
+
+    const mapped = mapCsvRows(csv, mapping, IMPORT_LEAD_FIELDS);
+    if (mapped.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: mapped.error 
+      });
+    }
+
+    const pipeline = await getLeadPipeline();
+
+    const validate = (values) => {
+      const { record, error } = validateImportedLead(values);
+      if (error) {
+        return { error };
+      }
+
+      if (values.status !== undefined && !pipeline.stages.includes(values.status)) {
+        return { error: `Status must be one of: ${pipeline.stages.join(', ')}.` };
+      }
+      if (values.status === pipeline.convertedStage) {
+        return { error: 'Leads cannot be imported as converted, convert them after the import.' };
+      }
+
+      const createdAt = values.createdAt !== undefined ? new Date(values.createdAt) : null;
+      if (createdAt && isNaN(createdAt.getTime())) {
+        return { error: 'Created date must be a valid date.' };
+      }
+
+      return {
+        record: {
+          ...record,
+          status: values.status || pipeline.initialStage,
+          ...(createdAt && { createdAt: createdAt.toISOString() })
+        }
+      };
+    };
+
+    const report = await runImport({
+      rows: mapped.rows,
+      validate,
+      findExistingByPhones: findLeadsByPhones,
+      createAll: (leads) => createLeads(leads, getActor(req)),
+      dryRun
+    });
+
+    if (!report.completed) {
+      return res.status(500).json({ 
+        success: false,
+        error: 'The import stopped part way. Rows not reported as created were not imported.',
+        data: report 
+      });
+    }
+    
+    res.status(dryRun ? 200 : 201).json({ 
+      success: true,
+      message: dryRun ? 'Lead import checked successfully!' : 'Leads imported successfully!',
+      data: report 
+    });
+  } catch (error) {
+    console.error('Error importing leads:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to import the leads.' 
+    });
+  }
+});
+
+// POST /api/leads/merge - Merge a duplicate lead into a primary lead
+router.post('/merge', authenticateToken, requirePermission('leads:write'), requirePermission('leads:delete'), async (req, res) => {
+  try {
+    const { primaryId, duplicateId } = req.body;
+
+    if (!primaryId || !duplicateId || primaryId === duplicateId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Two different lead IDs (primaryId and duplicateId) are required.' 
+      });
+    }
+
+    const pipeline = await getLeadPipeline();
+    const result = await mergeLeads(primaryId, duplicateId, { pipeline, changedBy: getActor(req) });
+
+    if (result.notFound) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Lead not found.' 
+      });
+    }
+
+    if (result.conflict) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Both leads were converted into different students. Merge the students first.' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      message: 'Leads merged successfully!',
+      data: result 
+    });
+  } catch (error) {
+    console.error('Error merging leads:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to merge the leads.' 
+    });
+  }
+});
+
 // PUT /api/leads/:id - Update a lead
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('leads:write'), validateBody({ ...leadSchema, statusNote: { type: 'string', maxLength: 500 } }, { partial: true }), async (req, res) => {
   try {
-    const updatedLead = await updateLead(req.params.id, req.body);
+    const { statusNote, ...updateData } = req.body;
+    const pipeline = await getLeadPipeline();
+
+    if (updateData.status !== undefined && !pipeline.stages.includes(updateData.status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Status must be one of: ${pipeline.stages.join(', ')}.` 
+      });
+    }
+
+    const result = await updateLead(req.params.id, updateData, {
+      pipeline,
+      changedBy: getActor(req),
+      note: statusNote || ''
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Lead not found.' 
+      });
+    }
+
+    if (result.conversionRequired) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Convert the lead into a student to move it to the converted stage.' 
+      });
+    }
+
+    if (result.invalidTransition) {
+      return res.status(409).json({ 
+        success: false,
+        error: `A lead cannot move from '${result.from}' to '${result.to}'.`,
+        allowedTransitions: pipeline.transitions[result.from] || []
+      });
+    }
+
     res.json({ 
       success: true,
       message: 'Lead updated successfully!',
-      data: updatedLead 
+      data: result.lead 
     });
   } catch (error) {
     console.error('Error updating lead:', error);
@@ -119,8 +705,64 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/leads/:id/convert - Convert a lead into a student
+router.post('/:id/convert', authenticateToken, requirePermission('leads:write'), requirePermission('students:write'), validateBody(studentSchema, { partial: true }), async (req, res) => {
+  try {
+    // Lead name and phone are used unless the request overrides them
+    const studentData = req.body;
+
+    const pipeline = await getLeadPipeline();
+    const result = await convertLeadToStudent(req.params.id, studentData, {
+      pipeline,
+      changedBy: getActor(req)
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Lead not found.' 
+      });
+    }
+
+    if (result.alreadyConverted) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Lead has already been converted.',
+        studentId: result.studentId
+      });
+    }
+
+    if (result.batchNotFound) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Some fields are invalid.',
+        fields: { batchId: 'Batch not found.' }
+      });
+    }
+
+    if (result.batchFull) {
+      return res.status(409).json({ 
+        success: false,
+        error: `Batch is full (capacity ${result.capacity}).` 
+      });
+    }
+
+    res.status(201).json({ 
+      success: true,
+      message: 'Lead converted to student successfully!',
+      data: result 
+    });
+  } catch (error) {
+    console.error('Error converting lead:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to convert the lead.' 
+    });
+  }
+});
+
 // DELETE /api/leads/:id - Delete a lead
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('leads:delete'), async (req, res) => {
   try {
     const deleted = await deleteLead(req.params.id);
     
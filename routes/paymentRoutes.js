@@ -1,21 +1,94 @@
 import express from 'express';
-import { getPayments, getPaymentById, getPaymentsByStudentId, getPaymentsByDateRange } from '../models/paymentModels.js';
-import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { getPayments, getPaymentById, getPaymentsByStudentId, getPaymentsByDateRange, createManualPayment, updatePayment, voidPayment, recordRazorpayPayment, markRazorpayPaymentFailed, addPaymentRefund, getNetAmount, iteratePayments } from '../models/paymentModels.js';
+import { getStudentById, withStudentDetails } from '../models/studentModels.js';
+import { isWebhookEventProcessed, recordWebhookEvent } from '../models/webhookEventModels.js';
+import { renderReceiptPdf } from '../utils/receiptPdf.js';
+import { razorpay, razorpayKeyId, verifyCheckoutSignature, verifyWebhookSignature } from '../config/razorpay.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+import { validateBody } from '../middlewares/validationMiddleware.js';
+import { paymentSchema, refundSchema, voidPaymentSchema } from '../config/schemas.js';
+import { pickSchema } from '../utils/schemaUtils.js';
+import { decodeCursor } from '../utils/firestoreUtils.js';
+import { buildListFilters } from '../utils/listFilterUtils.js';
+import { EXPORT_FORMATS, streamExport, handleExportError } from '../utils/exportUtils.js';
+import { getDateKey } from '../utils/dateUtils.js';
+import { toPaise, fromPaise } from '../utils/moneyUtils.js';
 
 const router = express.Router();
 
-// GET /api/payments - Get all payments with pagination
-router.get('/', authenticateToken, async (req, res) => {
+// Fields of a manual payment that may be corrected after recording.
+// The amount is deliberately excluded - void and re-record instead.
+const EDITABLE_PAYMENT_FIELDS = ['method', 'referenceNumber', 'periodCovered', 'collectedBy', 'notes'];
+
+// Query params the payments list and export can filter on
+const PAYMENT_LIST_FILTERS = {
+  equality: ['status', 'method', 'studentId'],
+  dateField: 'paymentDate',
+  amountField: 'amount'
+};
+
+// Payment statuses that can still be (further) refunded
+const REFUNDABLE_STATUSES = ['captured', 'completed', 'partially_refunded'];
+
+const PAYMENT_EXPORT_COLUMNS = [
+  { header: 'ID', value: payment => payment.id },
+  { header: 'Receipt Number', value: payment => payment.receiptNumber },
+  { header: 'Payment Date', value: payment => payment.paymentDate && getDateKey(payment.paymentDate) },
+  { header: 'Student ID', value: payment => payment.studentId },
+  { header: 'Student Name', value: payment => payment.studentName },
+  { header: 'Batch', value: payment => payment.studentBatch },
+  { header: 'Amount', value: payment => payment.amount },
+  { header: 'Refunded Amount', value: payment => payment.refundedAmount || 0 },
+  { header: 'Net Amount', value: payment => getNetAmount(payment) },
+  { header: 'Method', value: payment => payment.method },
+  { header: 'Reference Number', value: payment => payment.referenceNumber },
+  { header: 'Status', value: payment => payment.status },
+  { header: 'Period Covered', value: payment => payment.periodCovered },
+  { header: 'Notes', value: payment => payment.notes }
+];
+
+// GET /api/payments - Get all payments with pagination and filters
+// Filter query params: status, method, studentId, from, to (paymentDate),
+// minAmount, maxAmount. A date range and an amount range cannot be combined.
+router.get('/', authenticateToken, requirePermission('payments:read'), async (req, res) => {
   try {
     // OPTIMIZED: Add pagination support
-    const { limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc' } = req.query;
+    const { limit = 100, offset = 0, orderDirection = 'desc', cursor } = req.query;
+
+    // A cursor from a previous page's meta.nextCursor carries its own sort order
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid cursor.' 
+      });
+    }
+    
+    const { filters, orderBy = 'createdAt', error: filterError } = buildListFilters(req.query, PAYMENT_LIST_FILTERS);
+    if (filterError) {
+      return res.status(400).json({ 
+        success: false,
+        error: filterError 
+      });
+    }
     
-    const payments = await getPayments(
+    const result = await getPayments(
       parseInt(limit), 
       parseInt(offset), 
       orderBy, 
-      orderDirection
+      orderDirection,
+      decodedCursor,
+      filters
     );
+
+    if (result.unsupportedQuery) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This combination of filters and sorting is not supported.' 
+      });
+    }
+
+    const { payments, nextCursor } = result;
     
     // Add caching headers for better performance
     res.set({
@@ -30,7 +103,8 @@ router.get('/', authenticateToken, async (req, res) => {
       meta: {
         count: payments.length,
         limit: parseInt(limit),
-        offset: parseInt(offset)
+        offset: parseInt(offset),
+        nextCursor
       }
     });
   } catch (error) {
@@ -42,8 +116,104 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/payments/date-range - Get payments by date range with optimization
+// Registered before /:id so 'date-range' is not taken for a payment ID
+router.get('/date-range', authenticateToken, requirePermission('payments:read'), async (req, res) => {
+    try {
+        const { startDate, endDate, limit = 100 } = req.query;
+        
+        // Validate required query parameters
+        if (!startDate || !endDate) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Start date and end date are required query parameters.' 
+            });
+        }
+        
+        const payments = await getPaymentsByDateRange(startDate, endDate, parseInt(limit));
+
+        // Totals only count payments the academy actually received
+        const counted = payments.filter(payment => !['failed', 'voided'].includes(payment.status));
+        const totals = {
+          grossAmount: counted.reduce((sum, payment) => sum + (payment.amount || 0), 0),
+          refundedAmount: counted.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0),
+          netAmount: counted.reduce((sum, payment) => sum + payment.netAmount, 0)
+        };
+        
+        // Add caching headers
+        res.set({
+          'Cache-Control': 'public, max-age=300', // 5 minutes
+          'ETag': `payments-range-${payments.length}-${Date.now()}`
+        });
+        
+        res.json({ 
+        success: true,
+        message: 'Payments for date range retrieved successfully!',
+        data: payments,
+        meta: {
+          count: payments.length,
+          startDate,
+          endDate,
+          limit: parseInt(limit),
+          totals
+        }
+        });
+    } catch (error) {
+        console.error('Error getting payments by date range:', error);
+        res.status(500).json({ 
+        success: false,
+        error: 'Failed to retrieve payments for the date range.' 
+        });
+    }
+});
+
+// GET /api/payments/export - Download payments as a spreadsheet
+// Query params: format (csv | xlsx), orderBy, orderDirection and the list filters.
+// startDate and endDate, the export's date params before it took the list
+// filters, still work as from and to.
+router.get('/export', authenticateToken, requirePermission('payments:read'), async (req, res) => {
+  try {
+    const { format = 'csv', startDate, endDate, ...query } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` 
+      });
+    }
+
+    if ((startDate && query.from) || (endDate && query.to)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Use either from and to, or startDate and endDate.' 
+      });
+    }
+
+    const { filters, orderBy, error: filterError } = buildListFilters({
+      ...query,
+      from: query.from || startDate,
+      to: query.to || endDate
+    }, PAYMENT_LIST_FILTERS);
+    if (filterError) {
+      return res.status(400).json({ 
+        success: false,
+        error: filterError 
+      });
+    }
+
+    await streamExport(res, {
+      format,
+      name: 'payments',
+      columns: PAYMENT_EXPORT_COLUMNS,
+      rows: withStudentDetails(iteratePayments({ filters, orderBy, orderDirection: req.query.orderDirection }))
+    });
+  } catch (error) {
+    handleExportError(res, error, 'payments');
+  }
+});
+
 // GET /api/payments/:id - Get a single payment by ID
-router.get('/:id', authenticateToken, async (req, res) => {    
+router.get('/:id', authenticateToken, requirePermission('payments:read'), async (req, res) => {    
     try {
         const payment = await getPaymentById(req.params.id);
         
@@ -68,8 +238,47 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 }); 
 
+// GET /api/payments/:id/receipt.pdf - Download a printable receipt for a payment
+router.get('/:id/receipt.pdf', authenticateToken, requirePermission('payments:receipt'), async (req, res) => {
+    try {
+        const payment = await getPaymentById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found.'
+            });
+        }
+
+        if (payment.status === 'failed') {
+            return res.status(409).json({
+                success: false,
+                error: 'No receipt is available for a failed payment.'
+            });
+        }
+
+        const student = payment.studentId ? await getStudentById(payment.studentId) : null;
+        const fileName = (payment.receiptNumber || payment.id).replace(/[^A-Za-z0-9-]/g, '_');
+
+        // Receipts carry personal details - never let shared caches keep them
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="receipt-${fileName}.pdf"`,
+            'Cache-Control': 'private, no-store'
+        });
+
+        renderReceiptPdf(payment, student).pipe(res);
+    } catch (error) {
+        console.error('Error generating payment receipt:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate the payment receipt.'
+        });
+    }
+});
+
 // GET /api/payments/student/:studentId - Get payments by student ID
-router.get('/student/:studentId', authenticateToken, async (req, res) => {
+router.get('/student/:studentId', authenticateToken, requirePermission('payments:read'), async (req, res) => {
     try {
         const payments = await getPaymentsByStudentId(req.params.studentId);
         
@@ -87,43 +296,485 @@ router.get('/student/:studentId', authenticateToken, async (req, res) => {
     }
 });
 
-// GET /api/payments/date-range - Get payments by date range with optimization
-router.get('/date-range', authenticateToken, async (req, res) => {
+// POST /api/payments - Record a manual (cash / UPI / bank) payment
+router.post('/', authenticateToken, requirePermission('payments:create'), validateBody(paymentSchema), async (req, res) => {
     try {
-        const { startDate, endDate, limit = 100 } = req.query;
-        
-        // Validate required query parameters
-        if (!startDate || !endDate) {
-            return res.status(400).json({ 
+        const { studentId, method, referenceNumber, amount, periodCovered, paymentDate, collectedBy, notes } = req.body;
+
+        if (method !== 'cash' && !referenceNumber) {
+            return res.status(400).json({
                 success: false,
-                error: 'Start date and end date are required query parameters.' 
+                error: 'A reference number is required for non-cash payments.'
             });
         }
-        
-        const payments = await getPaymentsByDateRange(startDate, endDate, parseInt(limit));
-        
-        // Add caching headers
-        res.set({
-          'Cache-Control': 'public, max-age=300', // 5 minutes
-          'ETag': `payments-range-${payments.length}-${Date.now()}`
+
+        const student = await getStudentById(studentId);
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                error: 'Student not found.'
+            });
+        }
+
+        const newPayment = await createManualPayment({
+            studentId,
+            method,
+            referenceNumber: referenceNumber || '',
+            amount,
+            currency: 'INR',
+            periodCovered: periodCovered || '',
+            paymentDate,
+            collectedBy: collectedBy || req.user?.username || null,
+            notes: notes || '',
+            recordedBy: req.user?.id || null
         });
-        
-        res.json({ 
-        success: true,
-        message: 'Payments for date range retrieved successfully!',
-        data: payments,
-        meta: {
-          count: payments.length,
-          startDate,
-          endDate,
-          limit: parseInt(limit)
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment recorded successfully!',
+            data: newPayment
+        });
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record the payment.'
+        });
+    }
+});
+
+// PUT /api/payments/:id - Correct the details of a manual payment
+router.put('/:id', authenticateToken, requirePermission('payments:write'), validateBody(pickSchema(paymentSchema, EDITABLE_PAYMENT_FIELDS), { partial: true }), async (req, res) => {
+    try {
+        const payment = await getPaymentById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found.'
+            });
         }
+
+        if (payment.method === 'razorpay' || payment.status === 'voided') {
+            return res.status(409).json({
+                success: false,
+                error: 'Only active manual payments can be edited.'
+            });
+        }
+
+        // Only the correctable fields get past the validation middleware
+        const updatedPayment = await updatePayment(req.params.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Payment updated successfully!',
+            data: updatedPayment
         });
     } catch (error) {
-        console.error('Error getting payments by date range:', error);
-        res.status(500).json({ 
-        success: false,
-        error: 'Failed to retrieve payments for the date range.' 
+        console.error('Error updating payment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update the payment.'
+        });
+    }
+});
+
+// POST /api/payments/:id/void - Void a manual payment, keeping the original record
+router.post('/:id/void', authenticateToken, requirePermission('payments:write'), validateBody(voidPaymentSchema), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const payment = await getPaymentById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found.'
+            });
+        }
+
+        // Online payments have to be reversed through a refund instead
+        if (payment.method === 'razorpay') {
+            return res.status(409).json({
+                success: false,
+                error: 'Razorpay payments cannot be voided.'
+            });
+        }
+
+        if (payment.status === 'voided') {
+            return res.status(409).json({
+                success: false,
+                error: 'Payment is already voided.'
+            });
+        }
+
+        const voidedPayment = await voidPayment(req.params.id, reason, req.user?.username || req.user?.id);
+
+        res.json({
+            success: true,
+            message: 'Payment voided successfully!',
+            data: voidedPayment
+        });
+    } catch (error) {
+        console.error('Error voiding payment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to void the payment.'
+        });
+    }
+});
+
+// POST /api/payments/:id/refunds - Refund a payment in full or in part
+router.post('/:id/refunds', authenticateToken, requirePermission('payments:refund'), validateBody(refundSchema), async (req, res) => {
+    try {
+        const { amount, reason, refundMethod } = req.body;
+
+        const payment = await getPaymentById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found.'
+            });
+        }
+
+        if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `A ${payment.status || 'pending'} payment cannot be refunded.`
+            });
+        }
+
+        // Without an amount, refund whatever is still refundable
+        const refundablePaise = toPaise(getNetAmount(payment));
+        const refundPaise = amount != null ? toPaise(amount) : refundablePaise;
+
+        if (!(refundPaise > 0) || refundPaise > refundablePaise) {
+            return res.status(400).json({
+                success: false,
+                error: `Refund amount must be between 0 and ${fromPaise(refundablePaise)}.`
+            });
+        }
+
+        let result;
+
+        if (payment.method === 'razorpay') {
+            if (!razorpay) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Online payments are not configured.'
+                });
+            }
+
+            // Razorpay expects the amount in paise
+            const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+                amount: refundPaise,
+                notes: { reason: reason }
+            });
+
+            result = await addPaymentRefund(payment.id, {
+                razorpayRefundId: refund.id,
+                amount: fromPaise(refund.amount),
+                method: 'razorpay',
+                status: refund.status,
+                reason: reason,
+                refundedBy: req.user?.username || req.user?.id || null
+            });
+        } else {
+            // Manual payments are refunded at the desk, so only the record is kept
+            result = await addPaymentRefund(payment.id, {
+                amount: fromPaise(refundPaise),
+                method: refundMethod || payment.method,
+                status: 'processed',
+                reason: reason,
+                refundedBy: req.user?.username || req.user?.id || null
+            });
+
+            if (!result.applied) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Refund exceeds the amount still refundable.'
+                });
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund recorded successfully!',
+            data: result.payment
+        });
+    } catch (error) {
+        console.error('Error refunding payment:', error);
+
+        if (error.statusCode) {
+            return res.status(error.timedOut ? 504 : 502).json({
+                success: false,
+                error: error.error?.description || 'Payment gateway rejected the refund.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refund the payment.'
+        });
+    }
+});
+
+// POST /api/payments/orders - Create a Razorpay order for a student
+router.post('/orders', authenticateToken, requirePermission('payments:create'), async (req, res) => {
+    try {
+        const { studentId, amount, description, periodCovered } = req.body;
+
+        if (!razorpay) {
+            return res.status(503).json({
+                success: false,
+                error: 'Online payments are not configured.'
+            });
+        }
+
+        // Validate required fields
+        const amountInRupees = parseFloat(amount);
+        if (!studentId || !amountInRupees || amountInRupees <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Student ID and a positive amount are required fields.'
+            });
+        }
+
+        const student = await getStudentById(studentId);
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                error: 'Student not found.'
+            });
+        }
+
+        // Razorpay expects the amount in paise
+        const order = await razorpay.orders.create({
+            amount: toPaise(amountInRupees),
+            currency: 'INR',
+            receipt: `stu_${studentId}_${Date.now()}`.slice(0, 40),
+            notes: {
+                studentId,
+                studentName: student.name || '',
+                description: description || '',
+                periodCovered: periodCovered || ''
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment order created successfully!',
+            data: {
+                orderId: order.id,
+                amount: order.amount,
+                currency: order.currency,
+                keyId: razorpayKeyId,
+                student: { id: student.id, name: student.name }
+            }
+        });
+    } catch (error) {
+        console.error('Error creating payment order:', error);
+
+        // Errors returned by the Razorpay API carry a status code
+        if (error.statusCode) {
+            return res.status(error.timedOut ? 504 : 502).json({
+                success: false,
+                error: error.error?.description || 'Payment gateway rejected the order.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create the payment order.'
+        });
+    }
+});
+
+// POST /api/payments/verify - Verify Razorpay Checkout and record the payment
+router.post('/verify', authenticateToken, requirePermission('payments:create'), async (req, res) => {
+    try {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+        if (!razorpay) {
+            return res.status(503).json({
+                success: false,
+                error: 'Online payments are not configured.'
+            });
+        }
+
+        // Validate required fields
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Order ID, payment ID, and signature are required fields.'
+            });
+        }
+
+        if (!verifyCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid payment signature.'
+            });
+        }
+
+        // Read the amount and student from the order itself rather than the client
+        const order = await razorpay.orders.fetch(razorpay_order_id);
+
+        const { created, payment } = await recordRazorpayPayment({
+            studentId: order.notes?.studentId,
+            amount: fromPaise(order.amount),
+            currency: order.currency,
+            status: 'captured',
+            description: order.notes?.description || '',
+            periodCovered: order.notes?.periodCovered || '',
+            razorpayOrderId: razorpay_order_id,
+            razorpayPaymentId: razorpay_payment_id,
+            recordedBy: req.user?.id || null
+        });
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Payment verified and recorded successfully!' : 'Payment was already recorded.',
+            data: payment
+        });
+    } catch (error) {
+        console.error('Error verifying payment:', error);
+
+        if (error.statusCode) {
+            return res.status(error.timedOut ? 504 : 502).json({
+                success: false,
+                error: error.error?.description || 'Payment gateway rejected the request.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify the payment.'
+        });
+    }
+});
+
+// Resolve the student for a Razorpay payment from its notes, or from its order
+const getRazorpayStudentId = async (paymentEntity) => {
+    if (paymentEntity.notes?.studentId) {
+        return paymentEntity.notes.studentId;
+    }
+
+    if (razorpay && paymentEntity.order_id) {
+        const order = await razorpay.orders.fetch(paymentEntity.order_id);
+        return order.notes?.studentId || null;
+    }
+
+    return null;
+};
+
+// POST /api/payments/webhooks/razorpay - Razorpay webhook receiver (signature authenticated)
+router.post('/webhooks/razorpay', async (req, res) => {
+    try {
+        const signature = req.header('X-Razorpay-Signature');
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+
+        if (!verifyWebhookSignature(rawBody, signature)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid webhook signature.'
+            });
+        }
+
+        const event = JSON.parse(rawBody.toString('utf8'));
+        const eventId = req.header('X-Razorpay-Event-Id');
+
+        // Razorpay retries deliveries, so skip events we have already handled
+        if (eventId && await isWebhookEventProcessed(eventId)) {
+            return res.json({
+                success: true,
+                message: 'Event already processed.'
+            });
+        }
+
+        let result = null;
+
+        switch (event.event) {
+            case 'payment.captured': {
+                const entity = event.payload.payment.entity;
+                const { payment } = await recordRazorpayPayment({
+                    studentId: await getRazorpayStudentId(entity),
+                    amount: fromPaise(entity.amount),
+                    currency: entity.currency,
+                    status: 'captured',
+                    description: entity.notes?.description || entity.description || '',
+                    periodCovered: entity.notes?.periodCovered || '',
+                    razorpayOrderId: entity.order_id || null,
+                    razorpayPaymentId: entity.id,
+                    razorpayMethod: entity.method || null,
+                    paymentDate: new Date(entity.created_at * 1000).toISOString(),
+                    recordedBy: null
+                });
+                result = payment;
+                break;
+            }
+
+            case 'payment.failed': {
+                const entity = event.payload.payment.entity;
+                result = await markRazorpayPaymentFailed({
+                    studentId: await getRazorpayStudentId(entity),
+                    amount: fromPaise(entity.amount),
+                    currency: entity.currency,
+                    razorpayOrderId: entity.order_id || null,
+                    razorpayPaymentId: entity.id,
+                    razorpayMethod: entity.method || null,
+                    errorDescription: entity.error_description || ''
+                });
+                break;
+            }
+
+            case 'refund.processed': {
+                const entity = event.payload.refund.entity;
+                const refundResult = await addPaymentRefund(entity.payment_id, {
+                    razorpayRefundId: entity.id,
+                    amount: fromPaise(entity.amount),
+                    method: 'razorpay',
+                    status: 'processed',
+                    reason: entity.notes?.reason || '',
+                    refundedBy: null
+                });
+
+                // The refund can arrive before payment.captured. Answer without
+                // recording the event, so Razorpay delivers it again later.
+                if (!refundResult) {
+                    console.warn(`Refund ${entity.id} received for unknown payment ${entity.payment_id}, asking for a retry`);
+                    return res.status(503).json({
+                        success: false,
+                        error: 'The refunded payment is not recorded yet.'
+                    });
+                }
+
+                result = refundResult.payment;
+                break;
+            }
+
+            default:
+                console.log(`Ignoring unhandled Razorpay event: ${event.event}`);
+        }
+
+        if (eventId) {
+            await recordWebhookEvent(eventId, {
+                event: event.event,
+                paymentId: result?.id || null
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook processed successfully!'
+        });
+    } catch (error) {
+        // A 500 makes Razorpay retry the delivery later
+        console.error('Error processing Razorpay webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process the webhook.'
         });
     }
 });
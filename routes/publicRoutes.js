@@ -0,0 +1,163 @@
+// routes/publicRoutes.js
+// Endpoints the academy website calls without a staff login
+import express from 'express';
+import cors from 'cors';
+import { createLead, findLeadsByPhone, recordLeadEnquiry } from '../models/leadModels.js';
+import { getLeadPipeline } from '../models/settingsModels.js';
+import { consumeRateLimit } from '../models/rateLimitModels.js';
+import { publicLeadFormConfig } from '../config/publicLeadForm.js';
+import { normalizePhone } from '../utils/phoneUtils.js';
+
+const router = express.Router();
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_FIELD_LENGTH = 500;
+
+const SUBMITTED_MESSAGE = 'Thank you! We will get in touch with you soon.';
+
+// Origin of the page that submitted the form (Origin header, or the Referer's origin)
+const getRequestOrigin = (req) => {
+  if (req.get('origin')) {
+    return req.get('origin');
+  }
+  try {
+    return new URL(req.get('referer')).origin;
+  } catch {
+    return null;
+  }
+};
+
+// Reject submissions that do not come from the academy's own websites
+const requireAllowedOrigin = (req, res, next) => {
+  const origin = getRequestOrigin(req);
+
+  if (!origin || !publicLeadFormConfig.allowedOrigins.includes(origin)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Submissions are not accepted from this origin.'
+    });
+  }
+  next();
+};
+
+const limitRequestsPerIp = async (req, res, next) => {
+  try {
+    const result = await consumeRateLimit(
+      `publicLeads_${req.ip}`,
+      publicLeadFormConfig.maxRequestsPerIp,
+      publicLeadFormConfig.windowMinutes * 60 * 1000
+    );
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many submissions. Please try again later.'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking the public lead rate limit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit the enquiry.'
+    });
+  }
+};
+
+// Trimmed string of a submitted field, or undefined when it is empty
+const cleanField = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return undefined;
+  }
+  const cleaned = String(value).trim().slice(0, MAX_FIELD_LENGTH);
+  return cleaned || undefined;
+};
+
+// The website is on a different domain than the admin frontend
+router.use(cors({
+  origin: publicLeadFormConfig.allowedOrigins,
+  methods: ['POST']
+}));
+
+// POST /api/public/leads - Enquiry from the academy website
+// Accepts name, phone, email, childName, childAge and message, plus UTM
+// parameters in the body or the query string.
+router.post('/leads', requireAllowedOrigin, limitRequestsPerIp, async (req, res) => {
+  try {
+    // Bots fill in every field. Pretend it worked so they do not adapt.
+    if (cleanField(req.body[publicLeadFormConfig.honeypotField])) {
+      console.warn(`Honeypot triggered on public lead form from ${req.ip}`);
+      return res.status(201).json({
+        success: true,
+        message: SUBMITTED_MESSAGE
+      });
+    }
+
+    const name = cleanField(req.body.name);
+    const phone = normalizePhone(cleanField(req.body.phone));
+
+    if (!name || !phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide your name and a valid phone number.'
+      });
+    }
+
+    const utm = {};
+    UTM_PARAMS.forEach(param => {
+      const value = cleanField(req.body[param] ?? req.query[param]);
+      if (value) {
+        utm[param.replace('utm_', '')] = value;
+      }
+    });
+
+    const details = {};
+    ['email', 'childName', 'childAge', 'message'].forEach(field => {
+      const value = cleanField(req.body[field]);
+      if (value) {
+        details[field] = value;
+      }
+    });
+
+    // The parent already enquired, keep the one lead and record this enquiry
+    // with its own source and UTM parameters
+    const [existingLead] = await findLeadsByPhone(phone);
+    if (existingLead) {
+      await recordLeadEnquiry(existingLead.id, { name, source: 'website', utm, ...details });
+      return res.status(201).json({
+        success: true,
+        message: SUBMITTED_MESSAGE
+      });
+    }
+
+    const leadData = {
+      name,
+      phone,
+      source: 'website',
+      utm,
+      lastEnquiryAt: new Date().toISOString(),
+      ...details
+    };
+
+    const pipeline = await getLeadPipeline();
+    await createLead(
+      { ...leadData, status: pipeline.initialStage },
+      { id: null, username: 'website' }
+    );
+
+    // The lead itself is not returned to the anonymous caller
+    res.status(201).json({
+      success: true,
+      message: SUBMITTED_MESSAGE
+    });
+  } catch (error) {
+    console.error('Error creating public lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit the enquiry.'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { getLeadFunnelReport } from '../models/reportModels.js';
+import { getLeadPipeline } from '../models/settingsModels.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+import { getPeriodKey, addMonthsToPeriod, isValidPeriod } from '../utils/dateUtils.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('reports:read'));
+
+// GET /api/reports/leads/funnel - Lead funnel by source and month
+// Query params: from, to (YYYY-MM, default the last 12 months), refresh=true to skip the cache
+router.get('/leads/funnel', async (req, res) => {
+  try {
+    const toPeriod = req.query.to || getPeriodKey();
+    const fromPeriod = req.query.from || addMonthsToPeriod(toPeriod, -11);
+
+    if (!isValidPeriod(fromPeriod) || !isValidPeriod(toPeriod)) {
+      return res.status(400).json({
+        success: false,
+        error: 'From and to must be in YYYY-MM format.'
+      });
+    }
+
+    if (fromPeriod > toPeriod) {
+      return res.status(400).json({
+        success: false,
+        error: 'From cannot be after to.'
+      });
+    }
+
+    const pipeline = await getLeadPipeline();
+    const report = await getLeadFunnelReport({
+      fromPeriod,
+      toPeriod,
+      pipeline,
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Lead funnel report generated successfully!',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error getting lead funnel report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate the lead funnel report.'
+    });
+  }
+});
+
+export default router;
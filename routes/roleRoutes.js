@@ -0,0 +1,84 @@
+import express from 'express';
+import { getRolePermissions, setRolePermissions } from '../models/settingsModels.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Role configuration is admin-only
+router.use(authenticateToken, requirePermission('users:manage'));
+
+// GET /api/roles - Get every role with its permissions
+router.get('/', async (req, res) => {
+  try {
+    const roles = await getRolePermissions();
+
+    res.json({
+      success: true,
+      message: 'Roles retrieved successfully!',
+      data: {
+        roles,
+        permissions: PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Error getting roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve roles.'
+    });
+  }
+});
+
+// PUT /api/roles/:role - Create a role or replace its permissions
+router.put('/:role', async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'The admin role always has every permission.'
+      });
+    }
+
+    if (!/^[a-z][a-z0-9-]{1,31}$/.test(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role names must be 2-32 lowercase letters, digits or dashes.'
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Permissions must be an array.'
+      });
+    }
+
+    const unknown = permissions.filter(permission => permission !== '*' && !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown permissions: ${unknown.join(', ')}.`
+      });
+    }
+
+    const result = await setRolePermissions(role, [...new Set(permissions)], req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated successfully!',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role permissions.'
+    });
+  }
+});
+
+export default router;
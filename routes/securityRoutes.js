@@ -0,0 +1,85 @@
+import express from 'express';
+import { getActiveLockouts, unlockLogin, getSecurityEvents } from '../models/loginAttemptModels.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Security information is admin-only
+router.use(authenticateToken, requirePermission('users:manage'));
+
+// GET /api/security/lockouts - Get currently locked usernames and IPs
+router.get('/lockouts', async (req, res) => {
+  try {
+    const lockouts = await getActiveLockouts();
+
+    res.json({
+      success: true,
+      message: 'Active lockouts retrieved successfully!',
+      data: lockouts
+    });
+  } catch (error) {
+    console.error('Error getting lockouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve active lockouts.'
+    });
+  }
+});
+
+// POST /api/security/unlock - Unlock a username or an IP
+router.post('/unlock', async (req, res) => {
+  try {
+    const { username, ip } = req.body;
+
+    // Exactly one target is required
+    if (Boolean(username) === Boolean(ip)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either a username or an IP.'
+      });
+    }
+
+    const unlocked = await unlockLogin(username ? 'username' : 'ip', username || ip, req.user.id);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        error: 'No failed login attempts recorded for that target.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unlocked successfully!'
+    });
+  } catch (error) {
+    console.error('Error unlocking login:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock the login.'
+    });
+  }
+});
+
+// GET /api/security/events - Get recent lockout and unlock events
+router.get('/events', async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+
+    const events = await getSecurityEvents(Math.min(parseInt(limit) || 100, 500));
+
+    res.json({
+      success: true,
+      message: 'Security events retrieved successfully!',
+      data: events
+    });
+  } catch (error) {
+    console.error('Error getting security events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve security events.'
+    });
+  }
+});
+
+export default router;
@@ -1,22 +1,91 @@
 import express from 'express';
-import { getStudents, getStudentById, createStudent,deleteStudent,updateStudent } from '../models/studentModels.js';
-import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { getStudents, getStudentById, createStudent,deleteStudent,updateStudent, findStudentsByPhone, mergeStudents, findStudentsByPhones, createStudents, iterateStudents } from '../models/studentModels.js';
+import { getStudentLedger } from '../models/ledgerModels.js';
+import { getBatches } from '../models/batchModels.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+import { validateBody } from '../middlewares/validationMiddleware.js';
+import { studentSchema } from '../config/schemas.js';
+import { decodeCursor } from '../utils/firestoreUtils.js';
+import { buildListFilters } from '../utils/listFilterUtils.js';
+import { validateSchema } from '../utils/schemaUtils.js';
+import { mapCsvRows, runImport, readImportRequest, parseCsvBody } from '../utils/importUtils.js';
+import { EXPORT_FORMATS, streamExport, handleExportError } from '../utils/exportUtils.js';
 
 const router = express.Router();
 
+// Query params the students list and export can filter on
+const STUDENT_LIST_FILTERS = {
+  equality: ['batchId', 'batch', 'level'],
+  dateField: 'createdAt',
+  search: true
+};
 
-// GET /api/students - Get all students with pagination
-router.get('/',authenticateToken, async (req, res) => {
+// CSV columns of a student import. The batch column holds the batch name.
+const IMPORT_STUDENT_FIELDS = ['name', 'email', 'phone', 'address', 'age', 'level', 'batch'];
+
+const STUDENT_EXPORT_COLUMNS = [
+  { header: 'ID', value: student => student.id },
+  { header: 'Name', value: student => student.name },
+  { header: 'Phone', value: student => student.phone },
+  { header: 'Email', value: student => student.email },
+  { header: 'Age', value: student => student.age },
+  { header: 'Level', value: student => student.level },
+  { header: 'Batch', value: student => student.batch },
+  { header: 'Address', value: student => student.address },
+  { header: 'Lead ID', value: student => student.leadId },
+  { header: 'Created At', value: student => student.createdAt }
+];
+
+// Check the fields of an imported student, other than the batch.
+// Returns { record } with the normalized phone, or { error }.
+const validateImportedStudent = (values) => {
+  const { value, errors } = validateSchema(studentSchema, values);
+  return errors ? { error: Object.values(errors).join(' ') } : { record: value };
+};
+
+
+// GET /api/students - Get all students with pagination and filters
+// Filter query params: batchId, batch (name), level, from, to (createdAt),
+// search (name or phone prefix)
+router.get('/',authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
     // OPTIMIZED: Add pagination support
-    const { limit = 100, offset = 0, orderBy = 'createdAt', orderDirection = 'desc' } = req.query;
+    const { limit = 100, offset = 0, orderDirection = 'desc', cursor } = req.query;
+
+    // A cursor from a previous page's meta.nextCursor carries its own sort order
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid cursor.' 
+      });
+    }
     
-    const students = await getStudents(
+    const { filters, orderBy = 'createdAt', error: filterError } = buildListFilters(req.query, STUDENT_LIST_FILTERS);
+    if (filterError) {
+      return res.status(400).json({ 
+        success: false,
+        error: filterError 
+      });
+    }
+    
+    const result = await getStudents(
       parseInt(limit), 
       parseInt(offset), 
       orderBy, 
-      orderDirection
+      orderDirection,
+      decodedCursor,
+      filters
     );
+
+    if (result.unsupportedQuery) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This combination of filters and sorting is not supported.' 
+      });
+    }
+
+    const { students, nextCursor } = result;
     
     // Add caching headers for better performance
     res.set({
@@ -31,7 +100,8 @@ router.get('/',authenticateToken, async (req, res) => {
       meta: {
         count: students.length,
         limit: parseInt(limit),
-        offset: parseInt(offset)
+        offset: parseInt(offset),
+        nextCursor
       }
     });
   } catch (error) {
@@ -43,8 +113,40 @@ router.get('/',authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/students/export - Download students as a spreadsheet
+// Query params: format (csv | xlsx), orderBy, orderDirection and the list filters
+router.get('/export',authenticateToken, requirePermission('students:read'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` 
+      });
+    }
+
+    const { filters, orderBy, error: filterError } = buildListFilters(req.query, STUDENT_LIST_FILTERS);
+    if (filterError) {
+      return res.status(400).json({ 
+        success: false,
+        error: filterError 
+      });
+    }
+
+    await streamExport(res, {
+      format,
+      name: 'students',
+      columns: STUDENT_EXPORT_COLUMNS,
+      rows: iterateStudents({ filters, orderBy, orderDirection: req.query.orderDirection })
+    });
+  } catch (error) {
+    handleExportError(res, error, 'students');
+  }
+});
+
 // GET /api/students/:id - Get a single student by ID
-router.get('/:id',authenticateToken, async (req, res) => {    
+router.get('/:id',authenticateToken, requirePermission('students:read'), async (req, res) => {    
     try {
         const student = await getStudentById(req.params.id);
         
@@ -69,27 +171,80 @@ router.get('/:id',authenticateToken, async (req, res) => {
     }
     }); 
 
+// GET /api/students/:id/ledger - Get dues, payments and balance for a student
+router.get('/:id/ledger',authenticateToken, requirePermission('students:ledger'), async (req, res) => {
+    try {
+        const student = await getStudentById(req.params.id);
+
+        if (!student) {
+        return res.status(404).json({ 
+            success: false,
+            error: 'Student not found.' 
+        });
+        }
+
+        const ledger = await getStudentLedger(student);
+
+        // Balances change with every payment and hold personal details
+        res.set('Cache-Control', 'private, no-cache');
+
+        res.json({ 
+        success: true,
+        message: 'Student ledger retrieved successfully!',
+        data: ledger 
+        });
+    } catch (error) {
+        console.error('Error getting student ledger:', error);
+        res.status(500).json({ 
+        success: false,
+        error: 'Failed to retrieve the student ledger.' 
+        });
+    }
+    }); 
+
 // POST /api/students - Create a new student
-router.post('/',authenticateToken, async (req, res) => {
+router.post('/',authenticateToken, requirePermission('students:write'), validateBody({ ...studentSchema, allowDuplicate: { type: 'boolean' } }), async (req, res) => {
     try {
       console.log('Received POST request to create student:', req.body);
       
-      const { name, email, phone, address, age, level, batch  } = req.body;
+      const { allowDuplicate, ...record } = req.body;
+
+      // Siblings can share a parent's phone, so a duplicate is only blocked
+      // until the caller confirms with allowDuplicate
+      const duplicates = await findStudentsByPhone(record.phone);
+      if (duplicates.length > 0 && allowDuplicate !== true) {
+        return res.status(409).json({ 
+          success: false,
+          error: 'A student with this phone number already exists.',
+          existing: duplicates[0]
+        });
+      }
       
-      // Validate required fields
-      if (!name || !phone ) {
+      const newStudent = await createStudent(record);
+
+      if (newStudent.batchNotFound) {
         return res.status(400).json({ 
           success: false,
-          error: 'Name, email, and phone are required fields.' 
+          error: 'Some fields are invalid.',
+          fields: { batchId: 'Batch not found.' }
+        });
+      }
+
+      if (newStudent.batchFull) {
+        return res.status(409).json({ 
+          success: false,
+          error: `Batch is full (capacity ${newStudent.capacity}).` 
         });
       }
-      
-      const newStudent = await createStudent({ name, email, phone, address, age, level, batch  });
       
       res.status(201).json({ 
         success: true,
         message: 'Student created successfully!',
-        data: newStudent 
+        data: newStudent,
+        ...(duplicates.length > 0 && {
+          warnings: ['Another student has the same phone number.'],
+          existing: duplicates[0]
+        })
       });
   
     } catch (error) {
@@ -101,8 +256,137 @@ router.post('/',authenticateToken, async (req, res) => {
     }
   });   
 
+// POST /api/students/import - Import students from a CSV file
+// Body: the CSV file as text/csv, with ?mapping={ field: 'CSV column' } (JSON)
+// and ?dryRun=true, or JSON { csv: file contents, mapping, dryRun }
+// Rows whose phone matches an existing student, or an earlier row, are skipped.
+// Each row with a batch that is not skipped takes a place in it, in file
+// order. Rows are written a chunk at a time, each in a transaction that checks
+// the batches again, so students created meanwhile are counted too.
+// When a chunk fails the response is a 500 with the per-row report.
+router.post('/import',authenticateToken, requirePermission('students:write'), parseCsvBody, async (req, res) => {
+    try {
+      const { csv, mapping, dryRun, error } = readImportRequest(req);
+      if (error) {
+        return res.status(400).json({ 
+          success: false,
+          error 
+        });
+      }
+
+      const mapped = mapCsvRows(csv, mapping, IMPORT_STUDENT_FIELDS);
+      if (mapped.error) {
+        return res.status(400).json({ 
+          success: false,
+          error: mapped.error 
+        });
+      }
+
+      const batches = await getBatches();
+      const batchesByName = new Map(batches.map(batch => [batch.name.toLowerCase(), batch]));
+      const placesLeft = new Map(batches.map(batch => [batch.id, batch.capacity - batch.studentCount]));
+
+      const validate = ({ batch: batchName, ...values }) => {
+        const { record, error } = validateImportedStudent(values);
+        if (error || batchName === undefined) {
+          return { record, error };
+        }
+
+        const batch = batchesByName.get(batchName.toLowerCase());
+        if (!batch) {
+          return { error: `Batch '${batchName}' does not exist.` };
+        }
+        return { record: { ...record, batchId: batch.id, batch: batch.name } };
+      };
+
+      // Only rows that will be created, so after duplicates are skipped
+      const reserve = ({ batchId, batch }) => {
+        if (!batchId) {
+          return {};
+        }
+        if (placesLeft.get(batchId) <= 0) {
+          return { error: `Batch '${batch}' is full.` };
+        }
+        placesLeft.set(batchId, placesLeft.get(batchId) - 1);
+        return {};
+      };
+
+      const report = await runImport({
+        rows: mapped.rows,
+        validate,
+        findExistingByPhones: findStudentsByPhones,
+        createAll: async (students) => (await createStudents(students)).map(result => {
+          if (result.batchNotFound) {
+            return { error: 'Batch no longer exists.' };
+          }
+          if (result.batchFull) {
+            return { error: `Batch is full (capacity ${result.capacity}).` };
+          }
+          return result;
+        }),
+        reserve,
+        dryRun
+      });
+
+      if (!report.completed) {
+        return res.status(500).json({ 
+          success: false,
+          error: 'The import stopped part way. Rows not reported as created were not imported.',
+          data: report 
+        });
+      }
+
+      res.status(dryRun ? 200 : 201).json({ 
+        success: true,
+        message: dryRun ? 'Student import checked successfully!' : 'Students imported successfully!',
+        data: report 
+      });
+    } catch (error) {
+      console.error('Error importing students:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to import the students.' 
+      });
+    }
+  });
+
+// POST /api/students/merge - Merge a duplicate student into a primary student
+router.post('/merge',authenticateToken, requirePermission('students:write'), requirePermission('students:delete'), async (req, res) => {
+    try {
+      const { primaryId, duplicateId } = req.body;
+
+      if (!primaryId || !duplicateId || primaryId === duplicateId) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Two different student IDs (primaryId and duplicateId) are required.' 
+        });
+      }
+
+      const result = await mergeStudents(primaryId, duplicateId, req.user.id);
+
+      if (result.notFound) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Student not found.' 
+        });
+      }
+
+      res.json({ 
+        success: true,
+        message: 'Students merged successfully!',
+        data: result 
+      });
+    } catch (error) {
+      console.error('Error merging students:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to merge the students.' 
+      });
+    }
+  });
+
 // DELETE /api/students/:id - Delete a student by ID
-router.delete('/:id',authenticateToken, async (req, res) => {   
+router.delete('/:id',authenticateToken, requirePermission('students:delete'), async (req, res) => {   
     try {
         const success = await deleteStudent(req.params.id);
         
@@ -127,9 +411,32 @@ router.delete('/:id',authenticateToken, async (req, res) => {
     }); 
 
 // PUT /api/students/:id - Update a student by ID
-router.put('/:id',authenticateToken, async (req, res) => {
+router.put('/:id',authenticateToken, requirePermission('students:write'), validateBody(studentSchema, { partial: true }), async (req, res) => {
     try {
       const updatedStudent = await updateStudent(req.params.id, req.body);
+
+      if (updatedStudent.notFound) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Student not found.' 
+        });
+      }
+
+      if (updatedStudent.batchNotFound) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Some fields are invalid.',
+          fields: { batchId: 'Batch not found.' }
+        });
+      }
+
+      if (updatedStudent.batchFull) {
+        return res.status(409).json({ 
+          success: false,
+          error: `Batch is full (capacity ${updatedStudent.capacity}).` 
+        });
+      }
+
       res.json({ 
         success: true,
         message: 'Student updated successfully!',
@@ -0,0 +1,308 @@
+import express from 'express';
+import { getUsers, getUserById, createUser, updateUser, setUserPassword } from '../models/userModels.js';
+import { getRolePermissions } from '../models/settingsModels.js';
+import { revokeUserSessions } from '../models/sessionModels.js';
+import { authenticateToken, requirePermission } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Every staff account endpoint is admin-only
+router.use(authenticateToken, requirePermission('users:manage'));
+
+// Roles are configurable, so check against the currently configured ones
+const isKnownRole = async (role) => Object.keys(await getRolePermissions()).includes(role);
+
+// GET /api/users - Get all staff users
+router.get('/', async (req, res) => {
+  try {
+    const users = await getUsers();
+
+    res.json({
+      success: true,
+      message: 'Users retrieved successfully!',
+      data: users
+    });
+  } catch (error) {
+    console.error('Error getting users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve users.'
+    });
+  }
+});
+
+// GET /api/users/:id - Get a single staff user
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await getUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User retrieved successfully!',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error getting user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve the user.'
+    });
+  }
+});
+
+// POST /api/users - Create a staff user
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, name, role } = req.body;
+
+    // Validate required fields
+    if (!username || !password || !name || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username, password, name, and role are required fields.'
+      });
+    }
+
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username must be 3-32 letters, digits, dots, dashes or underscores.'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+      });
+    }
+
+    if (!(await isKnownRole(role))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown role: ${role}.`
+      });
+    }
+
+    const newUser = await createUser({
+      username,
+      password,
+      name,
+      role,
+      createdBy: req.user.id
+    });
+
+    if (!newUser) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username is already taken.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully!',
+      data: newUser
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create the user.'
+    });
+  }
+});
+
+// PUT /api/users/:id - Update a staff user's name or role
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, role } = req.body;
+
+    if (role !== undefined && !(await isKnownRole(role))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown role: ${role}.`
+      });
+    }
+
+    // Admins cannot demote themselves and lock everyone out
+    if (req.params.id === req.user.id && role !== undefined && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role.'
+      });
+    }
+
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (role !== undefined) updateData.role = role;
+
+    const updatedUser = await updateUser(req.params.id, updateData);
+
+    res.json({
+      success: true,
+      message: 'User updated successfully!',
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update the user.'
+    });
+  }
+});
+
+// POST /api/users/:id/disable - Disable a staff user
+router.post('/:id/disable', async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot disable your own account.'
+      });
+    }
+
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    const updatedUser = await updateUser(req.params.id, {
+      active: false,
+      disabledAt: new Date().toISOString(),
+      disabledBy: req.user.id
+    });
+
+    // Sign the user out everywhere straight away
+    await revokeUserSessions(req.params.id, 'user_disabled');
+
+    res.json({
+      success: true,
+      message: 'User disabled successfully!',
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Error disabling user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable the user.'
+    });
+  }
+});
+
+// POST /api/users/:id/enable - Re-enable a disabled staff user
+router.post('/:id/enable', async (req, res) => {
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    const updatedUser = await updateUser(req.params.id, {
+      active: true,
+      disabledAt: null,
+      disabledBy: null
+    });
+
+    res.json({
+      success: true,
+      message: 'User enabled successfully!',
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Error enabling user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable the user.'
+    });
+  }
+});
+
+// POST /api/users/:id/logout - Force logout a staff user from every device
+router.post('/:id/logout', async (req, res) => {
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    const result = await revokeUserSessions(req.params.id, 'forced_logout');
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.revokedCount} sessions.`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error forcing user logout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log the user out.'
+    });
+  }
+});
+
+// POST /api/users/:id/reset-password - Set a new password for a staff user
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+      });
+    }
+
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    await setUserPassword(req.params.id, password);
+    await revokeUserSessions(req.params.id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully!'
+    });
+  } catch (error) {
+    console.error('Error resetting user password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset the password.'
+    });
+  }
+});
+
+export default router;
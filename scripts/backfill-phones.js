@@ -0,0 +1,66 @@
+// scripts/backfill-phones.js
+// One-off: normalize the phone numbers of leads and students saved before
+// phones were stored in E.164 (see utils/phoneUtils.js), so duplicate checks
+// and import de-duplication find them. Search tokens are rebuilt from the
+// new phone. Numbers that cannot be normalized are left as they are and listed.
+// Safe to re-run, records already in E.164 are skipped.
+// Usage: npm run backfill:phones [-- --dry-run]
+import { FieldPath } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+import { commitInBatches, iterateQuery, BATCH_SIZE } from '../utils/firestoreUtils.js';
+import { normalizePhone } from '../utils/phoneUtils.js';
+import { buildSearchTokens } from '../utils/searchUtils.js';
+
+const COLLECTIONS = ['leads', 'students'];
+const dryRun = process.argv.includes('--dry-run');
+
+const backfillCollection = async (name) => {
+  const collection = db.collection(name);
+  const invalid = [];
+  let writes = [];
+  let updated = 0;
+
+  for await (const record of iterateQuery(collection.orderBy(FieldPath.documentId()))) {
+    if (record.phone === undefined || record.phone === null || record.phone === '') {
+      continue;
+    }
+
+    const phone = normalizePhone(record.phone);
+    if (!phone) {
+      invalid.push(`${record.id} (${record.phone})`);
+      continue;
+    }
+    if (phone === record.phone) {
+      continue;
+    }
+
+    updated++;
+    const searchTokens = buildSearchTokens({ ...record, phone });
+    writes.push(batch => batch.update(collection.doc(record.id), { phone, searchTokens }));
+
+    if (writes.length === BATCH_SIZE) {
+      if (!dryRun) {
+        await commitInBatches(writes);
+      }
+      writes = [];
+    }
+  }
+  if (!dryRun) {
+    await commitInBatches(writes);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Normalized the phone numbers of ${updated} ${name}.`);
+  if (invalid.length > 0) {
+    console.warn(`Left ${invalid.length} ${name} with phone numbers that are not valid: ${invalid.join(', ')}`);
+  }
+};
+
+try {
+  for (const name of COLLECTIONS) {
+    await backfillCollection(name);
+  }
+  process.exit(0);
+} catch (error) {
+  console.error('Error backfilling phone numbers:', error);
+  process.exit(1);
+}
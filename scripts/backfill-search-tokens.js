@@ -0,0 +1,39 @@
+// scripts/backfill-search-tokens.js
+// One-off: add searchTokens to leads and students created before name/phone
+// search existed. Safe to re-run, every record is simply recomputed.
+// Usage: npm run backfill:search-tokens
+import { FieldPath } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+import { commitInBatches, iterateQuery, BATCH_SIZE } from '../utils/firestoreUtils.js';
+import { buildSearchTokens } from '../utils/searchUtils.js';
+
+const COLLECTIONS = ['leads', 'students'];
+
+const backfillCollection = async (name) => {
+  const collection = db.collection(name);
+  let writes = [];
+  let updated = 0;
+
+  for await (const record of iterateQuery(collection.orderBy(FieldPath.documentId()))) {
+    const searchTokens = buildSearchTokens(record);
+    writes.push(batch => batch.update(collection.doc(record.id), { searchTokens }));
+
+    if (writes.length === BATCH_SIZE) {
+      updated += await commitInBatches(writes);
+      writes = [];
+    }
+  }
+  updated += await commitInBatches(writes);
+
+  console.log(`Updated search tokens on ${updated} ${name}.`);
+};
+
+try {
+  for (const name of COLLECTIONS) {
+    await backfillCollection(name);
+  }
+  process.exit(0);
+} catch (error) {
+  console.error('Error backfilling search tokens:', error);
+  process.exit(1);
+}
@@ -0,0 +1,91 @@
+// scripts/migrate-attendance-ids.js
+// One-off: move attendance records to their '<studentId>_<YYYY-MM-DD>' IDs
+// (see models/attendanceModels.js). Several records of a student on the same
+// day are merged into one, keeping the most recently marked status and notes.
+// Safe to re-run, records already under their ID are left alone.
+// Usage: npm run migrate:attendance-ids [-- --dry-run]
+import { FieldPath } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+import { commitInBatches, iterateQuery } from '../utils/firestoreUtils.js';
+import { toDateKey } from '../utils/dateUtils.js';
+import { getAttendanceId, buildAttendanceRecord } from '../models/attendanceModels.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const attendanceCollection = db.collection('attendance');
+
+const markedAt = (record) => record.updatedAt || record.createdAt || '';
+
+// Records grouped by the ID they belong under. Read in full before writing,
+// so documents created by the migration are never read back as input.
+const groupRecords = async () => {
+  const groups = new Map();
+  const skipped = [];
+
+  for await (const record of iterateQuery(attendanceCollection.orderBy(FieldPath.documentId()))) {
+    const dateKey = record.dateKey || toDateKey(record.date);
+    if (!record.studentId || !dateKey) {
+      skipped.push(record.id);
+      continue;
+    }
+
+    const targetId = getAttendanceId(record.studentId, dateKey);
+    if (!groups.has(targetId)) {
+      groups.set(targetId, { studentId: record.studentId, dateKey, records: [] });
+    }
+    groups.get(targetId).records.push(record);
+  }
+
+  return { groups, skipped };
+};
+
+const migrate = async () => {
+  const { groups, skipped } = await groupRecords();
+  const writes = [];
+  let moved = 0;
+  let merged = 0;
+
+  groups.forEach(({ studentId, dateKey, records }, targetId) => {
+    const alreadyMigrated = records.length === 1 &&
+      records[0].id === targetId &&
+      records[0].dateKey === dateKey;
+    if (alreadyMigrated) {
+      return;
+    }
+
+    const [latest] = [...records].sort((a, b) => markedAt(b).localeCompare(markedAt(a)));
+    const createdAt = records.map(record => record.createdAt).filter(Boolean).sort()[0];
+    const { id, ...fields } = latest;
+
+    const record = {
+      ...fields,
+      ...buildAttendanceRecord(studentId, dateKey, latest),
+      updatedAt: markedAt(latest) || new Date().toISOString(),
+      ...(createdAt && { createdAt })
+    };
+
+    writes.push(batch => batch.set(attendanceCollection.doc(targetId), record));
+    records
+      .filter(({ id }) => id !== targetId)
+      .forEach(({ id }) => writes.push(batch => batch.delete(attendanceCollection.doc(id))));
+
+    moved++;
+    merged += records.length - 1;
+  });
+
+  if (!dryRun) {
+    await commitInBatches(writes);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Rewrote ${moved} attendance records, merging ${merged} duplicates.`);
+  if (skipped.length > 0) {
+    console.warn(`Skipped ${skipped.length} records without a student or a valid date: ${skipped.join(', ')}`);
+  }
+};
+
+try {
+  await migrate();
+  process.exit(0);
+} catch (error) {
+  console.error('Error migrating attendance IDs:', error);
+  process.exit(1);
+}
@@ -0,0 +1,124 @@
+// scripts/migrate-student-batches.js
+// One-off: link students from before batches existed, who only have the
+// free-text 'batch' name, to a batches document through batchId, and point
+// batch fee plan assignments, which named the batch in targetId, at the
+// batch's ID. Names are matched to existing batches ignoring case and
+// spacing. A batch is created for each name that matches none, with room for
+// its students and no schedule yet, to be filled in through PUT /api/batches/:id.
+// Safe to re-run, students that already have a batchId and assignments that
+// already hold a batch ID are left alone.
+// Usage: npm run migrate:student-batches [-- --dry-run]
+import { FieldPath } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+import { commitInBatches, iterateQuery } from '../utils/firestoreUtils.js';
+import { getBatches, normalizeBatchName } from '../models/batchModels.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const studentsCollection = db.collection('students');
+const batchesCollection = db.collection('batches');
+const assignmentsCollection = db.collection('feePlanAssignments');
+
+const cleanName = (name) => name.trim().replace(/\s+/g, ' ');
+
+const migrate = async () => {
+  const batches = await getBatches();
+  const batchIds = new Set(batches.map(batch => batch.id));
+  const batchesByName = new Map();
+  const duplicateNames = new Set();
+  batches.forEach(batch => {
+    const key = normalizeBatchName(batch.name);
+    if (batchesByName.has(key)) {
+      duplicateNames.add(batch.name);
+    } else {
+      batchesByName.set(key, batch);
+    }
+  });
+
+  // Normalized name -> { name, students, assignments } to link
+  const groups = new Map();
+  const getGroup = (name) => {
+    const key = normalizeBatchName(name);
+    if (!groups.has(key)) {
+      groups.set(key, { name: cleanName(name), students: [], assignments: [] });
+    }
+    return groups.get(key);
+  };
+
+  for await (const student of iterateQuery(studentsCollection.orderBy(FieldPath.documentId()))) {
+    if (student.batchId || typeof student.batch !== 'string' || !student.batch.trim()) {
+      continue;
+    }
+    getGroup(student.batch).students.push(student);
+  }
+
+  const assignments = await assignmentsCollection.where('targetType', '==', 'batch').get();
+  assignments.forEach(doc => {
+    const { targetId } = doc.data();
+    if (typeof targetId === 'string' && targetId.trim() && !batchIds.has(targetId)) {
+      getGroup(targetId).assignments.push(doc);
+    }
+  });
+
+  const writes = [];
+  const created = [];
+  const overCapacity = [];
+  let linkedStudents = 0;
+  let linkedAssignments = 0;
+
+  groups.forEach(({ name, students, assignments }, key) => {
+    let batch = batchesByName.get(key);
+
+    if (!batch) {
+      const docRef = batchesCollection.doc();
+      batch = {
+        id: docRef.id,
+        name,
+        weekdays: [],
+        startTime: null,
+        endTime: null,
+        capacity: Math.max(students.length, 1),
+        createdAt: new Date().toISOString()
+      };
+      const { id, ...fields } = batch;
+      writes.push(writeBatch => writeBatch.set(docRef, fields));
+      created.push(name);
+    } else if (batch.studentCount + students.length > batch.capacity) {
+      overCapacity.push(`${batch.name} (${batch.studentCount + students.length}/${batch.capacity})`);
+    }
+
+    students.forEach(student => {
+      writes.push(writeBatch => writeBatch.update(studentsCollection.doc(student.id), {
+        batchId: batch.id,
+        batch: batch.name
+      }));
+    });
+    assignments.forEach(assignment => {
+      writes.push(writeBatch => writeBatch.update(assignment.ref, { targetId: batch.id }));
+    });
+    linkedStudents += students.length;
+    linkedAssignments += assignments.length;
+  });
+
+  if (!dryRun) {
+    await commitInBatches(writes);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Linked ${linkedStudents} students and ${linkedAssignments} fee plan assignments to ${groups.size} batches.`);
+  if (created.length > 0) {
+    console.log(`Created ${created.length} batches without a schedule: ${created.join(', ')}`);
+  }
+  if (overCapacity.length > 0) {
+    console.warn(`These batches are now over capacity: ${overCapacity.join(', ')}`);
+  }
+  if (duplicateNames.size > 0) {
+    console.warn(`Several batches share these names, records were linked to the first of each. Rename the others through PUT /api/batches/:id: ${[...duplicateNames].join(', ')}`);
+  }
+};
+
+try {
+  await migrate();
+  process.exit(0);
+} catch (error) {
+  console.error('Error linking students to batches:', error);
+  process.exit(1);
+}
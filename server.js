@@ -4,8 +4,15 @@ import leadRoutes from './routes/leadRoutes.js';
 import studentRoutes from './routes/studentRoutes.js';
 import attendanceRoutes from './routes/attendanceRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
+import feePlanRoutes from './routes/feePlanRoutes.js';
+import batchRoutes from './routes/batchRoutes.js';
 import cors from 'cors';
 import authRoutes from './routes/authRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import securityRoutes from './routes/securityRoutes.js';
+import publicRoutes from './routes/publicRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
 import compression from 'compression';
 
 dotenv.config();
@@ -13,6 +20,9 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind Vercel's proxy - take the client IP from X-Forwarded-For
+app.set('trust proxy', 1);
+
 // OPTIMIZED: Use proper compression middleware for better performance
 app.use(compression({
   filter: (req, res) => {
@@ -28,7 +38,11 @@ app.use(compression({
 }));
 
 // Middleware
+// Razorpay webhooks are signed over the raw body, so keep it as a Buffer
+app.use('/api/payments/webhooks/razorpay', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' })); // Add limit for security
+// Public website endpoints set their own CORS origins, so mount them before the admin CORS
+app.use('/api/public', publicRoutes);
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true
@@ -52,7 +66,13 @@ app.use('/api/leads', leadRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/fee-plans', feePlanRoutes);
+app.use('/api/batches', batchRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Simple test route
 app.get('/api', (req, res) => {
@@ -78,9 +98,12 @@ if (process.env.NODE_ENV !== 'production' || process.env.VERCEL !== '1') {
     console.log(`Test routes:`);
     console.log(`- GET all leads: http://localhost:${PORT}/api/leads`);
     console.log(`- POST create lead: http://localhost:${PORT}/api/leads`);
+    console.log(`- POST website enquiry: http://localhost:${PORT}/api/public/leads`);
     console.log(`- GET all students: http://localhost:${PORT}/api/students`);
     console.log(`- POST create student: http://localhost:${PORT}/api/students`);
     console.log(`- GET all payments: http://localhost:${PORT}/api/payments`);
+    console.log(`- GET all fee plans: http://localhost:${PORT}/api/fee-plans`);
+    console.log(`- GET lead funnel report: http://localhost:${PORT}/api/reports/leads/funnel`);
     console.log(`- POST login: http://localhost:${PORT}/api/auth/login`);
     console.log(`- POST logout: http://localhost:${PORT}/api/auth/logout`);
   });
@@ -0,0 +1,245 @@
+// test/payments.test.js
+// Razorpay order creation, checkout verification and webhooks, run against
+// the app with a stub Razorpay API and the in-memory Firestore.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import { db } from './support/fakeFirestore.js';
+import { startRazorpayStub } from './support/razorpayStub.js';
+
+const KEY_ID = 'rzp_test_key';
+const KEY_SECRET = 'rzp_test_secret';
+const WEBHOOK_SECRET = 'rzp_webhook_secret';
+
+let stub;
+let server;
+let baseUrl;
+let token;
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const call = async (method, path, body, headers = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const sendWebhook = async (event, { eventId, secret = WEBHOOK_SECRET } = {}) => {
+  const rawBody = JSON.stringify(event);
+  const response = await fetch(`${baseUrl}/api/payments/webhooks/razorpay`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': sign(rawBody, secret),
+      ...(eventId && { 'X-Razorpay-Event-Id': eventId })
+    },
+    body: rawBody
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const getPayment = async (id) => (await db.collection('payments').doc(id).get()).data();
+
+const createOrder = async (amount) => {
+  const { body } = await call('POST', '/api/payments/orders', { studentId: 'student_1', amount, periodCovered: 'April 2025' });
+  return body.data.orderId;
+};
+
+before(async () => {
+  stub = await startRazorpayStub({ keyId: KEY_ID, keySecret: KEY_SECRET });
+
+  // Read when config/razorpay.js is first imported, so set before the app loads
+  process.env.RAZORPAY_KEY_ID = KEY_ID;
+  process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+  process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  process.env.RAZORPAY_API_URL = stub.url;
+  process.env.RAZORPAY_TIMEOUT_MS = '200';
+
+  const { default: app } = await import('../server.js');
+  const { createSession } = await import('../models/sessionModels.js');
+
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { session } = await createSession({ userId: 'user_admin' });
+  token = jwt.sign(
+    { userId: 'user_admin', username: 'admin', role: 'admin', isAdmin: true, sid: session.id },
+    process.env.JWT_SECRET
+  );
+
+  await db.collection('students').doc('student_1').set({ name: 'Asha Rao', batch: 'U10 Evening' });
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await stub.close();
+});
+
+describe('POST /api/payments/orders', () => {
+  it('creates a Razorpay order in paise with the student in its notes', async () => {
+    const { status, body } = await call('POST', '/api/payments/orders', {
+      studentId: 'student_1',
+      amount: '1500.50',
+      description: 'Monthly fee'
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.amount, 150050);
+    assert.equal(body.data.keyId, KEY_ID);
+
+    const order = stub.orders.get(body.data.orderId);
+    assert.equal(order.currency, 'INR');
+    assert.deepEqual(
+      { studentId: order.notes.studentId, studentName: order.notes.studentName },
+      { studentId: 'student_1', studentName: 'Asha Rao' }
+    );
+  });
+
+  it('returns 404 without calling Razorpay for an unknown student', async () => {
+    const requestsBefore = stub.requests.length;
+    const { status } = await call('POST', '/api/payments/orders', { studentId: 'missing', amount: 500 });
+
+    assert.equal(status, 404);
+    assert.equal(stub.requests.length, requestsBefore);
+  });
+
+  it('returns 502 with the gateway message when Razorpay rejects the order', async () => {
+    const { status, body } = await call('POST', '/api/payments/orders', { studentId: 'student_1', amount: 0.5 });
+
+    assert.equal(status, 502);
+    assert.equal(body.error, 'The amount must be atleast INR 1.00');
+  });
+
+  it('returns 504 when Razorpay does not answer in time', async () => {
+    stub.delayMs = 500;
+    try {
+      const { status } = await call('POST', '/api/payments/orders', { studentId: 'student_1', amount: 500 });
+      assert.equal(status, 504);
+    } finally {
+      stub.delayMs = 0;
+    }
+  });
+});
+
+describe('POST /api/payments/verify', () => {
+  it('records the payment from the order once, with a receipt number', async () => {
+    const orderId = await createOrder(2000);
+    const checkout = {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: 'pay_verify_1',
+      razorpay_signature: sign(`${orderId}|pay_verify_1`, KEY_SECRET)
+    };
+
+    const first = await call('POST', '/api/payments/verify', checkout);
+    assert.equal(first.status, 201);
+    assert.equal(first.body.data.amount, 2000);
+    assert.equal(first.body.data.studentId, 'student_1');
+    assert.equal(first.body.data.periodCovered, 'April 2025');
+    assert.ok(first.body.data.receiptNumber);
+
+    const second = await call('POST', '/api/payments/verify', checkout);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.data.receiptNumber, first.body.data.receiptNumber);
+  });
+
+  it('rejects a checkout signature that does not match', async () => {
+    const orderId = await createOrder(2000);
+    const { status } = await call('POST', '/api/payments/verify', {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: 'pay_forged',
+      razorpay_signature: sign(`${orderId}|pay_forged`, 'wrong_secret')
+    });
+
+    assert.equal(status, 400);
+    assert.equal(await getPayment('pay_forged'), undefined);
+  });
+
+  it('returns 502 when Razorpay does not know the order', async () => {
+    const { status } = await call('POST', '/api/payments/verify', {
+      razorpay_order_id: 'order_missing',
+      razorpay_payment_id: 'pay_missing_order',
+      razorpay_signature: sign('order_missing|pay_missing_order', KEY_SECRET)
+    });
+
+    assert.equal(status, 502);
+  });
+});
+
+describe('POST /api/payments/webhooks/razorpay', () => {
+  const capturedEvent = (entity) => ({
+    event: 'payment.captured',
+    payload: { payment: { entity: { currency: 'INR', method: 'upi', created_at: 1743500000, ...entity } } }
+  });
+
+  it('records a captured payment and skips a redelivery of the event', async () => {
+    const event = capturedEvent({ id: 'pay_webhook_1', amount: 120000, notes: { studentId: 'student_1' } });
+
+    const first = await sendWebhook(event, { eventId: 'evt_1' });
+    assert.equal(first.status, 200);
+
+    const payment = await getPayment('pay_webhook_1');
+    assert.equal(payment.amount, 1200);
+    assert.equal(payment.status, 'captured');
+    assert.equal(payment.razorpayMethod, 'upi');
+
+    const redelivery = await sendWebhook(event, { eventId: 'evt_1' });
+    assert.equal(redelivery.body.message, 'Event already processed.');
+  });
+
+  it('takes the student from the order when the payment has no notes', async () => {
+    const orderId = await createOrder(750);
+    await sendWebhook(capturedEvent({ id: 'pay_webhook_2', amount: 75000, order_id: orderId }), { eventId: 'evt_2' });
+
+    const payment = await getPayment('pay_webhook_2');
+    assert.equal(payment.studentId, 'student_1');
+    assert.equal(payment.razorpayOrderId, orderId);
+  });
+
+  it('applies a processed refund to the payment once', async () => {
+    await sendWebhook(capturedEvent({ id: 'pay_webhook_3', amount: 100000, notes: { studentId: 'student_1' } }));
+    const refundEvent = {
+      event: 'refund.processed',
+      payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_webhook_3', amount: 25000, notes: {} } } }
+    };
+
+    await sendWebhook(refundEvent, { eventId: 'evt_3' });
+    await sendWebhook(refundEvent, { eventId: 'evt_4' });
+
+    const payment = await getPayment('pay_webhook_3');
+    assert.equal(payment.status, 'partially_refunded');
+    assert.equal(payment.refundedAmount, 250);
+    assert.equal(payment.refunds.length, 1);
+  });
+
+  it('asks for a redelivery of a refund that arrives before its payment', async () => {
+    const refundEvent = {
+      event: 'refund.processed',
+      payload: { refund: { entity: { id: 'rfnd_early', payment_id: 'pay_webhook_4', amount: 10000, notes: {} } } }
+    };
+
+    const early = await sendWebhook(refundEvent, { eventId: 'evt_5' });
+    assert.equal(early.status, 503);
+
+    await sendWebhook(capturedEvent({ id: 'pay_webhook_4', amount: 50000, notes: { studentId: 'student_1' } }));
+    const redelivery = await sendWebhook(refundEvent, { eventId: 'evt_5' });
+    assert.equal(redelivery.status, 200);
+    assert.equal((await getPayment('pay_webhook_4')).refundedAmount, 100);
+  });
+
+  it('rejects an event with an invalid signature', async () => {
+    const { status } = await sendWebhook(
+      capturedEvent({ id: 'pay_webhook_forged', amount: 100000, notes: { studentId: 'student_1' } }),
+      { secret: 'wrong_secret' }
+    );
+
+    assert.equal(status, 400);
+    assert.equal(await getPayment('pay_webhook_forged'), undefined);
+  });
+});
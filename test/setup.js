@@ -0,0 +1,10 @@
+// test/setup.js
+// Loaded before every test file through --import (see the "test" script).
+import { register } from 'node:module';
+
+// Run the app the way Vercel does, where importing server.js does not listen
+process.env.NODE_ENV = 'production';
+process.env.VERCEL = '1';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+register('./support/firestoreHooks.js', import.meta.url);
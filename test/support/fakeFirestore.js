@@ -0,0 +1,170 @@
+// test/support/fakeFirestore.js
+// In-memory stand-in for the Firestore db exported by config/firebase.js.
+// Covers document reads and writes, batches and transactions, which is what
+// the tested routes use. Queries are not supported.
+
+const collections = new Map();
+let autoId = 0;
+
+const copy = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const getCollection = (path) => {
+  if (!collections.has(path)) {
+    collections.set(path, new Map());
+  }
+  return collections.get(path);
+};
+
+const isMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested maps are merged like set(data, { merge: true }) does
+const mergeFields = (target, source) => {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] = isMap(value) && isMap(merged[key]) ? mergeFields(merged[key], value) : value;
+  });
+  return merged;
+};
+
+// Errors carry the gRPC status codes the models check for
+const firestoreError = (code, message) => Object.assign(new Error(message), { code });
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return copy(this._data);
+  }
+
+  get(field) {
+    return copy(this._data?.[field]);
+  }
+}
+
+class DocumentReference {
+  constructor(collectionPath, id) {
+    this.collectionPath = collectionPath;
+    this.id = id;
+  }
+
+  get path() {
+    return `${this.collectionPath}/${this.id}`;
+  }
+
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, copy(getCollection(this.collectionPath).get(this.id)));
+  }
+
+  async set(data, { merge = false } = {}) {
+    const documents = getCollection(this.collectionPath);
+    const current = documents.get(this.id);
+    documents.set(this.id, merge && current ? mergeFields(current, copy(data)) : copy(data));
+  }
+
+  async create(data) {
+    if (getCollection(this.collectionPath).has(this.id)) {
+      throw firestoreError(6, `ALREADY_EXISTS: ${this.path}`);
+    }
+    await this.set(data);
+  }
+
+  async update(data) {
+    const documents = getCollection(this.collectionPath);
+    if (!documents.has(this.id)) {
+      throw firestoreError(5, `NOT_FOUND: ${this.path}`);
+    }
+    documents.set(this.id, { ...documents.get(this.id), ...copy(data) });
+  }
+
+  async delete() {
+    getCollection(this.collectionPath).delete(this.id);
+  }
+}
+
+class CollectionReference {
+  constructor(path) {
+    this.path = path;
+  }
+
+  doc(id = `auto${++autoId}`) {
+    return new DocumentReference(this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  where() {
+    throw new Error('Queries are not supported by the fake Firestore.');
+  }
+
+  orderBy() {
+    throw new Error('Queries are not supported by the fake Firestore.');
+  }
+}
+
+// Writes are applied in order on commit, like a Firestore batch
+class WriteBatch {
+  constructor() {
+    this.writes = [];
+  }
+
+  set(ref, data, options) {
+    this.writes.push(() => ref.set(data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push(() => ref.create(data));
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push(() => ref.update(data));
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push(() => ref.delete());
+    return this;
+  }
+
+  async commit() {
+    for (const write of this.writes) {
+      await write();
+    }
+  }
+}
+
+class Transaction extends WriteBatch {
+  get(ref) {
+    return ref.get();
+  }
+
+  getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+}
+
+export const db = {
+  collection: (path) => new CollectionReference(path),
+  batch: () => new WriteBatch(),
+  getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+  runTransaction: async (updateFunction) => {
+    const transaction = new Transaction();
+    const result = await updateFunction(transaction);
+    await transaction.commit();
+    return result;
+  }
+};
@@ -0,0 +1,12 @@
+// test/support/firestoreHooks.js
+// Module resolution hook that loads the in-memory fake in place of
+// config/firebase.js, so tests never connect to a real Firestore project.
+export const resolve = async (specifier, context, nextResolve) => {
+  if (specifier.endsWith('/config/firebase.js')) {
+    return {
+      url: new URL('./fakeFirestore.js', import.meta.url).href,
+      shortCircuit: true
+    };
+  }
+  return nextResolve(specifier, context);
+};
@@ -0,0 +1,82 @@
+// test/support/razorpayStub.js
+// Local stand-in for the Razorpay order endpoints the backend calls. Requests
+// are checked for the API key like Razorpay does, and kept in `requests`.
+// Setting `delayMs` holds back every response, to stand in for a slow gateway.
+import http from 'node:http';
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, description) =>
+  sendJson(res, status, { error: { code: 'BAD_REQUEST_ERROR', description } });
+
+const readJson = async (req) => {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return body ? JSON.parse(body) : {};
+};
+
+// Starts the stub on a free port. Returns { url, orders, requests, delayMs, close }.
+export const startRazorpayStub = async ({ keyId, keySecret }) => {
+  const expectedAuth = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+  const orders = new Map();
+  const requests = [];
+  let stub;
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readJson(req);
+    requests.push({ method: req.method, path: req.url, body });
+
+    if (stub.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, stub.delayMs));
+    }
+
+    if (req.headers.authorization !== expectedAuth) {
+      return sendError(res, 401, 'The api key provided is invalid');
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/orders') {
+      if (!Number.isInteger(body.amount) || body.amount < 100) {
+        return sendError(res, 400, 'The amount must be atleast INR 1.00');
+      }
+
+      const order = {
+        id: `order_${orders.size + 1}`,
+        entity: 'order',
+        amount: body.amount,
+        currency: body.currency,
+        receipt: body.receipt,
+        notes: body.notes || {},
+        status: 'created'
+      };
+      orders.set(order.id, order);
+      return sendJson(res, 200, order);
+    }
+
+    const orderMatch = req.url.match(/^\/v1\/orders\/([^/]+)$/);
+    if (req.method === 'GET' && orderMatch) {
+      const order = orders.get(decodeURIComponent(orderMatch[1]));
+      return order ? sendJson(res, 200, order) : sendError(res, 400, 'The id provided does not exist');
+    }
+
+    sendError(res, 404, 'The requested URL was not found on the server.');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  stub = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    orders,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+    delayMs: 0
+  };
+  return stub;
+};
@@ -0,0 +1,72 @@
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line
+// endings) into an array of rows, each an array of strings.
+// Blank lines are skipped.
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Plain signed numbers, which include E.164 phone numbers like +919876543210
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+// One CSV line (with the trailing CRLF) for a list of values.
+// Text that a spreadsheet would run as a formula is prefixed with a quote.
+// Only plain numbers may start with + or -, anything else after the sign
+// (like -1+1+cmd|...) can still be a formula.
+export const toCsvRow = (values) => values.map(value => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
@@ -0,0 +1,120 @@
+import { academyConfig } from '../config/academy.js';
+
+// Calendar parts of a date in the academy's timezone
+const getZonedParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: academyConfig.timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(new Date(date));
+
+  const valueOf = (type) => parseInt(parts.find(part => part.type === type).value);
+  return { year: valueOf('year'), month: valueOf('month'), day: valueOf('day') };
+};
+
+// Offset of the academy's timezone from UTC at a moment, in milliseconds
+const getTimezoneOffsetMs = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: academyConfig.timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const valueOf = (type) => parseInt(parts.find(part => part.type === type).value);
+  const zonedAsUtc = Date.UTC(
+    valueOf('year'), valueOf('month') - 1, valueOf('day'),
+    valueOf('hour'), valueOf('minute'), valueOf('second')
+  );
+  return zonedAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Indian financial year (April to March) of a date, e.g. '2025-26'
+export const getFinancialYear = (date = new Date()) => {
+  const { year, month } = getZonedParts(date);
+
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Billing period of a date, e.g. '2025-06'
+export const getPeriodKey = (date = new Date()) => {
+  const { year, month } = getZonedParts(date);
+  return `${year}-${String(month).padStart(2, '0')}`;
+};
+
+// Calendar day of a date, e.g. '2025-06-14'
+export const getDateKey = (date = new Date()) => {
+  const { year, month, day } = getZonedParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Move a 'YYYY-MM' period forward (or back) by a number of months
+export const addMonthsToPeriod = (period, months) => {
+  const [year, month] = period.split('-').map(Number);
+  const index = year * 12 + (month - 1) + months;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+// Number of months from one 'YYYY-MM' period to another
+export const monthsBetweenPeriods = (fromPeriod, toPeriod) => {
+  const [fromYear, fromMonth] = fromPeriod.split('-').map(Number);
+  const [toYear, toMonth] = toPeriod.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+// Whether a string is a valid 'YYYY-MM' period
+export const isValidPeriod = (period) => /^\d{4}-(0[1-9]|1[0-2])$/.test(period || '');
+
+// Whether a string is a valid 'YYYY-MM-DD' calendar day
+export const isValidDateKey = (dateKey) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(dateKey || '') &&
+  new Date(`${dateKey}T00:00:00Z`).toISOString().startsWith(dateKey);
+
+// Move a 'YYYY-MM-DD' day forward (or back) by a number of days
+export const addDaysToDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// UTC instant (ISO string) at which a 'YYYY-MM-DD' day starts in the academy's timezone
+export const getDayStartISO = (dateKey) => {
+  const utcMidnight = new Date(`${dateKey}T00:00:00Z`);
+  return new Date(utcMidnight.getTime() - getTimezoneOffsetMs(utcMidnight)).toISOString();
+};
+
+// Calendar day of a value: a 'YYYY-MM-DD' string as it is, a timestamp as
+// the day it falls on in the academy's timezone. Null if it is neither.
+export const toDateKey = (value) => {
+  if (isValidDateKey(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : getDateKey(date);
+};
+
+// Every 'YYYY-MM-DD' day from one day to another (inclusive)
+export const getDateKeysBetween = (fromKey, toKey) => {
+  const dateKeys = [];
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDaysToDateKey(dateKey, 1)) {
+    dateKeys.push(dateKey);
+  }
+  return dateKeys;
+};
+
+// Every 'YYYY-MM-DD' day of a month
+export const getMonthDateKeys = (year, month) => {
+  const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return getDateKeysBetween(`${monthKey}-01`, `${monthKey}-${String(daysInMonth).padStart(2, '0')}`);
+};
+
+// Day of the week of a 'YYYY-MM-DD' day, e.g. 'monday'
+export const getWeekday = (dateKey) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }).toLowerCase();
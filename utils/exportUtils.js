@@ -0,0 +1,97 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { toCsvRow } from './csvUtils.js';
+import { getDateKey } from './dateUtils.js';
+import { isUnsupportedQueryError } from './firestoreUtils.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Write a CSV chunk, waiting for the client to catch up when the buffer is full
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+// Fetch the first row before anything is written, so a query Firestore
+// refuses still gets a proper error response instead of a cut-off download
+const startRows = async (rows) => {
+  const iterator = rows[Symbol.asyncIterator]
+    ? rows[Symbol.asyncIterator]()
+    : rows[Symbol.iterator]();
+  const first = await iterator.next();
+
+  return (async function* () {
+    if (first.done) return;
+    yield first.value;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  })();
+};
+
+// Stream rows to the response as a CSV or XLSX download.
+// columns: [{ header, value: (row) => cell }], rows: an (async) iterable.
+// Nothing is buffered beyond the current row, apart from what the XLSX
+// zip format itself needs.
+export const streamExport = async (res, { format, name, columns, rows }) => {
+  const filename = `${name}-${getDateKey()}.${format}`;
+  rows = await startRows(rows);
+
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.columns = columns.map(({ header }) => ({ header, width: Math.max(header.length + 2, 14) }));
+
+    for await (const row of rows) {
+      worksheet.addRow(columns.map(({ value }) => value(row) ?? null)).commit();
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  // The byte order mark makes Excel read the file as UTF-8
+  await writeChunk(res, '\uFEFF' + toCsvRow(columns.map(({ header }) => header)));
+  for await (const row of rows) {
+    await writeChunk(res, toCsvRow(columns.map(({ value }) => value(row))));
+  }
+  res.end();
+};
+
+// Report a failed export of a kind of record, e.g. 'students'. Once the
+// download has started the only signal left is to cut the connection, so
+// the partial file does not look complete.
+export const handleExportError = (res, error, recordType) => {
+  if (!res.headersSent && isUnsupportedQueryError(error)) {
+    console.warn(`Unsupported query exporting ${recordType}:`, error.message);
+    return res.status(400).json({
+      success: false,
+      error: 'This combination of filters and sorting is not supported.'
+    });
+  }
+
+  console.error(`Error exporting ${recordType}:`, error);
+
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to export ${recordType}.`
+  });
+};
@@ -0,0 +1,118 @@
+import { FieldPath } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+
+// Firestore allows at most 500 writes per batch
+export const BATCH_SIZE = 500;
+
+// Firestore allows at most 30 values in an 'in' filter
+export const IN_QUERY_LIMIT = 30;
+
+// Commit a list of writes in as many batches as needed. Each write is a
+// function that queues one operation on the batch it is given.
+// Batches commit one after another, so a failure part way through leaves
+// earlier batches applied. Callers keep their writes safe to re-run.
+export const commitInBatches = async (writes) => {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+  return writes.length;
+};
+
+// Fields a merged-in duplicate record can fill on the record it is merged
+// into: only those the primary record has no value for
+export const fillMissingFields = (primary, duplicate) => {
+  const filled = {};
+  Object.entries(duplicate).forEach(([field, value]) => {
+    const current = primary[field];
+    if ((current === undefined || current === null || current === '') && value !== undefined) {
+      filled[field] = value;
+    }
+  });
+  return filled;
+};
+
+// Walk the results of an ordered query one page at a time, so large
+// collections are never held in memory at once. Yields { id, ...data }.
+export async function* iterateQuery(query, pageSize = BATCH_SIZE) {
+  let lastDoc = null;
+
+  while (true) {
+    const page = lastDoc ? query.startAfter(lastDoc) : query;
+    const snapshot = await page.limit(pageSize).get();
+
+    for (const doc of snapshot.docs) {
+      yield { id: doc.id, ...doc.data() };
+    }
+
+    if (snapshot.size < pageSize) {
+      return;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+// Add [field, op, value] where clauses to a query
+export const applyFilters = (query, filters = []) =>
+  filters.reduce((filtered, [field, op, value]) => filtered.where(field, op, value), query);
+
+// Firestore refuses some filter and sort combinations, or needs a composite
+// index that does not exist yet. These are the caller's query, not a crash.
+// Callers should log error.message, which links to the index to create in
+// the Firebase console.
+export const isUnsupportedQueryError = (error) =>
+  error?.code === 9 || error?.code === 3; // FAILED_PRECONDITION, INVALID_ARGUMENT
+
+// Opaque pagination cursor: the sort order and the position of the last
+// document of a page (its sort value and ID)
+const encodeCursor = (orderBy, orderDirection, doc) =>
+  Buffer.from(JSON.stringify({ orderBy, orderDirection, value: doc.get(orderBy), id: doc.id }))
+    .toString('base64url');
+
+// Returns the decoded cursor, or null when the token is not a valid cursor
+export const decodeCursor = (token) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    const isValid = typeof cursor.orderBy === 'string' &&
+      ['asc', 'desc'].includes(cursor.orderDirection) &&
+      typeof cursor.id === 'string' &&
+      cursor.value !== undefined;
+
+    return isValid ? cursor : null;
+  } catch {
+    return null;
+  }
+};
+
+// Read one page of a query. A cursor continues after the previous page in
+// the cursor's own sort order, and costs only the reads of the page itself.
+// Without one, offset documents are skipped (Firestore still bills them).
+// The document ID breaks ties, so documents with equal sort values are
+// neither repeated nor skipped between pages.
+// Returns { items, nextCursor }, nextCursor is null on the last page.
+export const getPage = async (query, { limit, offset = 0, orderBy, orderDirection, cursor = null }) => {
+  const sortField = cursor ? cursor.orderBy : orderBy;
+  const sortDirection = cursor ? cursor.orderDirection : orderDirection;
+
+  let pageQuery = query
+    .orderBy(sortField, sortDirection)
+    .orderBy(FieldPath.documentId(), sortDirection);
+
+  if (cursor) {
+    pageQuery = pageQuery.startAfter(cursor.value, cursor.id);
+  } else if (offset > 0) {
+    pageQuery = pageQuery.offset(offset);
+  }
+
+  // One extra document tells whether there is a next page
+  const snapshot = await pageQuery.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    items: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    nextCursor: snapshot.size > limit
+      ? encodeCursor(sortField, sortDirection, docs[docs.length - 1])
+      : null
+  };
+};
@@ -0,0 +1,161 @@
+import express from 'express';
+import { parseCsv } from './csvUtils.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Rows written per createAll call. Each chunk is written as a whole, so it
+// has to fit in one Firestore batch or transaction (500 writes).
+export const IMPORT_CHUNK_SIZE = 200;
+
+// Route middleware that reads a text/csv upload into req.body as a string
+export const parseCsvBody = express.text({ type: 'text/csv', limit: '10mb' });
+
+// Read an import request, either a text/csv upload with mapping (as JSON)
+// and dryRun in the query string, or a JSON body { csv, mapping, dryRun }.
+// Returns { csv, mapping, dryRun } or { error }.
+export const readImportRequest = (req) => {
+  const isUpload = typeof req.body === 'string';
+  const params = isUpload ? req.query : (req.body || {});
+  const csv = isUpload ? req.body : params.csv;
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return { error: 'CSV file contents are required.' };
+  }
+
+  let mapping = params.mapping || {};
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch {
+      mapping = null;
+    }
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'Mapping must be an object of { field: \'CSV column\' }.' };
+  }
+
+  return { csv, mapping, dryRun: params.dryRun === true || params.dryRun === 'true' };
+};
+
+// Map CSV text to one object per data row, keyed by our field names.
+// mapping is { field: 'CSV column header' }. Fields without a mapping use
+// the column with the same name (ignoring case), if there is one.
+// Returns { rows: [{ rowNumber, values }] } or { error }.
+export const mapCsvRows = (csvText, mapping = {}, fields) => {
+  const [headers, ...dataRows] = parseCsv(csvText);
+
+  if (!headers) {
+    return { error: 'The CSV file is empty.' };
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return { error: `A single import can have at most ${MAX_IMPORT_ROWS} rows.` };
+  }
+
+  const normalizedHeaders = headers.map(header => header.trim().toLowerCase());
+  const columnIndexes = {};
+
+  for (const field of fields) {
+    const column = mapping[field] !== undefined ? mapping[field] : field;
+    const index = normalizedHeaders.indexOf(String(column).trim().toLowerCase());
+
+    if (index !== -1) {
+      columnIndexes[field] = index;
+    } else if (mapping[field] !== undefined) {
+      return { error: `Column '${column}' mapped to '${field}' is not in the CSV file.` };
+    }
+  }
+
+  return {
+    rows: dataRows.map((cells, i) => {
+      const values = {};
+      Object.entries(columnIndexes).forEach(([field, index]) => {
+        const value = (cells[index] || '').trim();
+        if (value !== '') {
+          values[field] = value;
+        }
+      });
+      // Row 1 is the header, so data starts on row 2 like in a spreadsheet
+      return { rowNumber: i + 2, values };
+    })
+  };
+};
+
+// Validate, de-duplicate and (unless dryRun) create the imported rows.
+// - validate(values) returns { record } or { error }, using the POST route rules
+// - findExistingByPhones(phones) returns a Map of phone -> existing record
+// - createAll(records) writes one chunk of at most IMPORT_CHUNK_SIZE records
+//   and returns, per record, the record with its ID, or { error } when it
+//   was refused on write (e.g. its batch filled up since it was reserved)
+// - reserve(record), optional, runs for each row left to create, in file
+//   order, and returns { error } to reject it (e.g. when a batch is full)
+// Chunks are written in order. When one fails, its rows and the later ones
+// are reported as failed and the import stops, with completed: false.
+// Importing the file again skips the created rows as duplicates.
+// Returns the per-row report and a summary.
+export const runImport = async ({ rows, validate, findExistingByPhones, createAll, reserve, dryRun }) => {
+  const results = [];
+  const valid = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    const { record, error } = validate(values);
+    if (error) {
+      results.push({ row: rowNumber, status: 'rejected', error });
+    } else {
+      valid.push({ rowNumber, record });
+    }
+  });
+
+  const existing = await findExistingByPhones([...new Set(valid.map(({ record }) => record.phone))]);
+
+  // The first row with a phone wins, later rows with the same phone are duplicates
+  const firstRowByPhone = new Map();
+  const toCreate = [];
+  valid.forEach(({ rowNumber, record }) => {
+    if (existing.has(record.phone)) {
+      results.push({ row: rowNumber, status: 'duplicate', existingId: existing.get(record.phone).id });
+    } else if (firstRowByPhone.has(record.phone)) {
+      results.push({ row: rowNumber, status: 'duplicate', duplicateOfRow: firstRowByPhone.get(record.phone) });
+    } else {
+      const { error } = reserve ? reserve(record) : {};
+      if (error) {
+        results.push({ row: rowNumber, status: 'rejected', error });
+        return;
+      }
+      firstRowByPhone.set(record.phone, rowNumber);
+      toCreate.push({ rowNumber, record });
+    }
+  });
+
+  let completed = true;
+  if (dryRun) {
+    toCreate.forEach(({ rowNumber }) => results.push({ row: rowNumber, status: 'valid' }));
+  } else {
+    for (let i = 0; i < toCreate.length; i += IMPORT_CHUNK_SIZE) {
+      const chunk = toCreate.slice(i, i + IMPORT_CHUNK_SIZE);
+
+      try {
+        const created = await createAll(chunk.map(({ record }) => record));
+        chunk.forEach(({ rowNumber }, j) => results.push(created[j].error
+          ? { row: rowNumber, status: 'rejected', error: created[j].error }
+          : { row: rowNumber, status: 'created', id: created[j].id }));
+      } catch (error) {
+        console.error('Error writing imported rows:', error);
+        completed = false;
+        toCreate.slice(i).forEach(({ rowNumber }) => results.push({
+          row: rowNumber,
+          status: 'failed',
+          error: 'Not imported, saving the row failed.'
+        }));
+        break;
+      }
+    }
+  }
+
+  results.sort((a, b) => a.row - b.row);
+
+  const summary = { total: rows.length, created: 0, valid: 0, duplicate: 0, rejected: 0, failed: 0 };
+  results.forEach(({ status }) => summary[status]++);
+
+  return { dryRun: Boolean(dryRun), completed, summary, rows: results };
+};
@@ -0,0 +1,99 @@
+import { getDayStartISO, addDaysToDateKey, isValidDateKey } from './dateUtils.js';
+import { normalizeSearchTerm } from './searchUtils.js';
+
+// Start of a 'from' date, or the end (exclusive) of a 'to' date. Plain
+// 'YYYY-MM-DD' days follow the academy timezone, full timestamps are used as-is.
+const parseBoundary = (value, isEnd) => {
+  if (isValidDateKey(value)) {
+    return getDayStartISO(isEnd ? addDaysToDateKey(value, 1) : value);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Turn list query params into Firestore where clauses for one kind of record.
+// spec: {
+//   equality: params matched exactly against the field of the same name,
+//   dateField: field filtered by ?from= and ?to=,
+//   amountField: field filtered by ?minAmount= and ?maxAmount=,
+//   search: whether ?search= does a name/phone prefix search (searchTokens)
+// }
+// Firestore allows range filters on one field per query here, and that field
+// must be the sort field, so other combinations are refused up front.
+// Returns { filters: [[field, op, value]], orderBy } or { error }.
+export const buildListFilters = (query, spec) => {
+  const filters = [];
+  const rangeFields = [];
+
+  (spec.equality || []).forEach(field => {
+    if (query[field] !== undefined && query[field] !== '') {
+      filters.push([field, '==', String(query[field])]);
+    }
+  });
+
+  const { from, to, minAmount, maxAmount, search } = query;
+
+  if (from || to) {
+    if (!spec.dateField) {
+      return { error: 'Filtering by date is not supported here.' };
+    }
+
+    const fromISO = from ? parseBoundary(from, false) : null;
+    const toISO = to ? parseBoundary(to, true) : null;
+    if ((from && !fromISO) || (to && !toISO)) {
+      return { error: 'From and to must be dates (YYYY-MM-DD) or timestamps.' };
+    }
+    if (fromISO && toISO && fromISO >= toISO) {
+      return { error: 'From must be before to.' };
+    }
+
+    if (fromISO) filters.push([spec.dateField, '>=', fromISO]);
+    if (toISO) filters.push([spec.dateField, '<', toISO]);
+    rangeFields.push(spec.dateField);
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    if (!spec.amountField) {
+      return { error: 'Filtering by amount is not supported here.' };
+    }
+
+    const min = minAmount !== undefined ? parseFloat(minAmount) : null;
+    const max = maxAmount !== undefined ? parseFloat(maxAmount) : null;
+    if ((min !== null && isNaN(min)) || (max !== null && isNaN(max))) {
+      return { error: 'Minimum and maximum amount must be numbers.' };
+    }
+    if (min !== null && max !== null && min > max) {
+      return { error: 'Minimum amount cannot be more than the maximum amount.' };
+    }
+
+    if (min !== null) filters.push([spec.amountField, '>=', min]);
+    if (max !== null) filters.push([spec.amountField, '<=', max]);
+    rangeFields.push(spec.amountField);
+  }
+
+  if (rangeFields.length > 1) {
+    return { error: 'Date and amount ranges cannot be combined. Filter by one of them.' };
+  }
+
+  if (search !== undefined && search !== '') {
+    if (!spec.search) {
+      return { error: 'Search is not supported here.' };
+    }
+
+    const token = normalizeSearchTerm(search);
+    if (token) {
+      filters.push(['searchTokens', 'array-contains', token]);
+    }
+  }
+
+  // A range-filtered field has to be the sort field
+  let orderBy = query.orderBy;
+  if (rangeFields.length > 0) {
+    if (orderBy && orderBy !== rangeFields[0]) {
+      return { error: `Results filtered by ${rangeFields[0]} can only be sorted by ${rangeFields[0]}.` };
+    }
+    orderBy = rangeFields[0];
+  }
+
+  return { filters, orderBy };
+};
@@ -0,0 +1,8 @@
+// Amounts are stored in rupees, but adding and comparing them as floats
+// drifts (0.1 + 0.2 !== 0.3), so money arithmetic is done in whole paise.
+
+// Rupees -> paise, e.g. 1499.5 -> 149950
+export const toPaise = (rupees) => Math.round((rupees || 0) * 100);
+
+// Paise -> rupees, e.g. 149950 -> 1499.5
+export const fromPaise = (paise) => paise / 100;
@@ -0,0 +1,59 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Words for 0-999
+const belowThousand = (number) => {
+  const words = [];
+
+  if (number >= 100) {
+    words.push(`${ONES[Math.floor(number / 100)]} Hundred`);
+    number %= 100;
+  }
+  if (number >= 20) {
+    words.push(TENS[Math.floor(number / 10)]);
+    number %= 10;
+  }
+  if (number > 0) {
+    words.push(ONES[number]);
+  }
+
+  return words.join(' ');
+};
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+export const numberToIndianWords = (number) => {
+  number = Math.floor(Math.abs(number));
+
+  if (number === 0) {
+    return 'Zero';
+  }
+
+  const words = [];
+  const crores = Math.floor(number / 10000000);
+  const lakhs = Math.floor((number % 10000000) / 100000);
+  const thousands = Math.floor((number % 100000) / 1000);
+  const rest = number % 1000;
+
+  if (crores > 0) words.push(`${numberToIndianWords(crores)} Crore`);
+  if (lakhs > 0) words.push(`${belowThousand(lakhs)} Lakh`);
+  if (thousands > 0) words.push(`${belowThousand(thousands)} Thousand`);
+  if (rest > 0) words.push(belowThousand(rest));
+
+  return words.join(' ');
+};
+
+// Rupee amount in words, e.g. 'Rupees Two Thousand Five Hundred and Fifty Paise Only'
+export const amountToWords = (amount) => {
+  const paise = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paise / 100);
+  const remainder = paise % 100;
+
+  let words = `Rupees ${numberToIndianWords(rupees)}`;
+  if (remainder > 0) {
+    words += ` and ${numberToIndianWords(remainder)} Paise`;
+  }
+  return `${words} Only`;
+};
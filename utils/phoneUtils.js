@@ -0,0 +1,41 @@
+import { academyConfig } from '../config/academy.js';
+
+// Normalize a phone number to E.164, e.g. '098765 43210' -> '+919876543210'.
+// Numbers without a country code get the academy's default one.
+// Returns null when the input cannot be a phone number.
+export const normalizePhone = (phone) => {
+  if (phone === undefined || phone === null) {
+    return null;
+  }
+
+  const raw = String(phone).trim();
+  let digits = raw.replace(/[\s\-().]/g, '');
+
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else {
+    const countryCode = academyConfig.phoneCountryCode;
+
+    // Drop the trunk prefix of national numbers, e.g. '0' in '09876543210'
+    digits = digits.replace(/^0+/, '');
+
+    // Indian mobile and landline numbers are 10 digits without the country code
+    if (countryCode === '91' && digits.length === 12 && digits.startsWith('91')) {
+      digits = digits.slice(2);
+    }
+    if (countryCode === '91' && digits.length !== 10) {
+      return null;
+    }
+
+    digits = `${countryCode}${digits}`;
+  }
+
+  // E.164 allows at most 15 digits and never starts with 0
+  if (!/^[1-9]\d{7,14}$/.test(digits)) {
+    return null;
+  }
+
+  return `+${digits}`;
+};
@@ -0,0 +1,154 @@
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import { academyConfig } from '../config/academy.js';
+import { amountToWords } from './numberToWords.js';
+import { getNetAmount } from '../models/paymentModels.js';
+
+const METHOD_LABELS = {
+  razorpay: 'Online (Razorpay)',
+  cash: 'Cash',
+  upi: 'UPI',
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  card: 'Card'
+};
+
+// Standard PDF fonts have no rupee glyph, so amounts are printed as 'INR'
+const formatAmount = (amount) =>
+  `INR ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  new Intl.DateTimeFormat('en-IN', {
+    timeZone: academyConfig.timezone,
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  }).format(new Date(date));
+
+// Render a payment receipt as a PDF document stream.
+// The caller pipes the returned document into the response and it ends itself.
+export const renderReceiptPdf = (payment, student) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 36 });
+  const pageWidth = doc.page.width;
+  const contentWidth = pageWidth - 72;
+
+  // Header band with academy branding
+  doc.rect(0, 0, pageWidth, 90).fill(academyConfig.brandColor);
+
+  let headerX = 36;
+  if (academyConfig.logoPath && fs.existsSync(academyConfig.logoPath)) {
+    doc.image(academyConfig.logoPath, 36, 18, { fit: [54, 54] });
+    headerX = 100;
+  }
+
+  doc.fillColor('#ffffff')
+    .font('Helvetica-Bold').fontSize(16)
+    .text(academyConfig.name, headerX, 20, { width: pageWidth - headerX - 36 });
+
+  const contactLine = [academyConfig.phone, academyConfig.email, academyConfig.website]
+    .filter(Boolean)
+    .join('  |  ');
+
+  doc.font('Helvetica').fontSize(8);
+  if (academyConfig.address) {
+    doc.text(academyConfig.address, { width: pageWidth - headerX - 36 });
+  }
+  if (contactLine) {
+    doc.text(contactLine, { width: pageWidth - headerX - 36 });
+  }
+  if (academyConfig.gstin) {
+    doc.text(`GSTIN: ${academyConfig.gstin}`);
+  }
+
+  // Title and receipt meta
+  doc.fillColor('#000000')
+    .font('Helvetica-Bold').fontSize(13)
+    .text('PAYMENT RECEIPT', 36, 110, { width: contentWidth, align: 'center' });
+
+  doc.moveDown(1);
+
+  const rows = [
+    ['Receipt No.', payment.receiptNumber || payment.id],
+    ['Date', formatDate(payment.paymentDate || payment.createdAt)],
+    ['Student', student?.name || 'Unknown student'],
+    ['Student ID', payment.studentId || '-'],
+    ['Batch', student?.batch || '-'],
+    ['Period Covered', payment.periodCovered || '-'],
+    ['Payment Method', METHOD_LABELS[payment.method] || payment.method || '-'],
+    ['Reference', payment.referenceNumber || payment.razorpayPaymentId || '-'],
+    ['Received By', payment.collectedBy || '-']
+  ];
+
+  const labelWidth = 110;
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9).text(label, 36, y, { width: labelWidth });
+    doc.font('Helvetica').fontSize(9).text(String(value), 36 + labelWidth, y, { width: contentWidth - labelWidth });
+    doc.moveDown(0.4);
+  });
+
+  // Amount box
+  doc.moveDown(0.6);
+  const boxY = doc.y;
+  doc.rect(36, boxY, contentWidth, 58).lineWidth(1).stroke(academyConfig.brandColor);
+
+  doc.fillColor('#000000')
+    .font('Helvetica-Bold').fontSize(9)
+    .text('Amount Received', 46, boxY + 8);
+  doc.fontSize(16).text(formatAmount(payment.amount), 46, boxY + 20);
+  doc.font('Helvetica-Oblique').fontSize(8)
+    .text(amountToWords(payment.amount || 0), 46, boxY + 40, { width: contentWidth - 20 });
+
+  doc.y = boxY + 70;
+
+  // Refunds are listed under the amount received, followed by what the academy kept
+  const refunds = payment.refunds || [];
+  if (refunds.length > 0 || payment.refundedAmount > 0) {
+    doc.font('Helvetica-Bold').fontSize(9).text('Refunds', 36, doc.y);
+    doc.moveDown(0.3);
+
+    refunds.forEach(refund => {
+      const y = doc.y;
+      const details = [METHOD_LABELS[refund.method] || refund.method, refund.reason].filter(Boolean).join(' - ');
+      doc.font('Helvetica').fontSize(9)
+        .text(formatDate(refund.createdAt), 36, y, { width: labelWidth })
+        .text(details || '-', 36 + labelWidth, y, { width: contentWidth - labelWidth - 100 })
+        .text(`- ${formatAmount(refund.amount)}`, pageWidth - 136, y, { width: 100, align: 'right' });
+      doc.moveDown(0.3);
+    });
+
+    const netY = doc.y + 4;
+    doc.moveTo(36, netY).lineTo(36 + contentWidth, netY).lineWidth(0.5).stroke('#999999');
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(10)
+      .text('Net Amount', 36, netY + 6, { width: labelWidth })
+      .text(formatAmount(getNetAmount(payment)), pageWidth - 176, netY + 6, { width: 140, align: 'right' });
+    doc.font('Helvetica-Oblique').fontSize(8)
+      .text(amountToWords(getNetAmount(payment)), 36, doc.y + 2, { width: contentWidth });
+    doc.moveDown(0.6);
+  }
+
+  // Reversals are printed prominently so a voided receipt is never mistaken for a valid one
+  if (payment.status === 'voided') {
+    doc.fillColor('#b00020').font('Helvetica-Bold').fontSize(12)
+      .text(`VOIDED - ${payment.voidReason || ''}`, 36, doc.y, { width: contentWidth, align: 'center' });
+  } else if (payment.status === 'refunded' || payment.status === 'partially_refunded') {
+    doc.fillColor('#b00020').font('Helvetica-Bold').fontSize(12)
+      .text(payment.status === 'refunded' ? 'REFUNDED' : 'PARTIALLY REFUNDED', 36, doc.y, { width: contentWidth, align: 'center' });
+  }
+
+  if (payment.description || payment.notes) {
+    doc.fillColor('#000000').font('Helvetica').fontSize(8)
+      .text(`Notes: ${payment.description || payment.notes}`, 36, doc.y + 6, { width: contentWidth });
+  }
+
+  doc.fillColor('#666666').font('Helvetica').fontSize(7)
+    .text(
+      'This is a computer-generated receipt and does not require a signature.',
+      36,
+      doc.page.height - 50,
+      { width: contentWidth, align: 'center' }
+    );
+
+  doc.end();
+  return doc;
+};
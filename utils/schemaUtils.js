@@ -0,0 +1,178 @@
+import { normalizePhone } from './phoneUtils.js';
+import { toDateKey } from './dateUtils.js';
+
+const DEFAULT_MAX_LENGTH = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// 'childAge' -> 'Child age'
+const toLabel = (field) => {
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Coerce one value to its field type. Returns { value } or { error }.
+const coerceField = (rule, input, label) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof input !== 'string' && typeof input !== 'number') {
+        return { error: `${label} must be text.` };
+      }
+      const value = String(input).trim();
+      const maxLength = rule.maxLength || DEFAULT_MAX_LENGTH;
+      if (value.length > maxLength) {
+        return { error: `${label} must be at most ${maxLength} characters.` };
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `${label} must be one of: ${rule.enum.join(', ')}.` };
+      }
+      return { value };
+    }
+
+    case 'number': {
+      const value = typeof input === 'string' && input.trim() !== '' ? Number(input) : input;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `${label} must be a number.` };
+      }
+      if (rule.integer && !Number.isInteger(value)) {
+        return { error: `${label} must be a whole number.` };
+      }
+      if (rule.positive && value <= 0) {
+        return { error: `${label} must be more than 0.` };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { error: `${label} must be at least ${rule.min}.` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { error: `${label} must be at most ${rule.max}.` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (input === true || input === 'true') return { value: true };
+      if (input === false || input === 'false') return { value: false };
+      return { error: `${label} must be true or false.` };
+    }
+
+    case 'date': {
+      const date = typeof input === 'string' || typeof input === 'number' ? new Date(input) : null;
+      if (!date || isNaN(date.getTime())) {
+        return { error: `${label} must be a valid date.` };
+      }
+      return { value: date.toISOString() };
+    }
+
+    // A calendar day, 'YYYY-MM-DD' in the academy's timezone
+    case 'dateKey': {
+      const value = typeof input === 'string' || typeof input === 'number' ? toDateKey(input) : null;
+      if (!value) {
+        return { error: `${label} must be a valid date.` };
+      }
+      return { value };
+    }
+
+    case 'phone': {
+      const value = normalizePhone(input);
+      if (!value) {
+        return { error: `${label} must be a valid phone number.` };
+      }
+      return { value };
+    }
+
+    case 'time': {
+      const value = typeof input === 'string' ? input.trim() : '';
+      if (!TIME_PATTERN.test(value)) {
+        return { error: `${label} must be a time in HH:MM (24-hour) format.` };
+      }
+      return { value };
+    }
+
+    // A list of values of the items rule, without repeated plain values
+    case 'array': {
+      if (!Array.isArray(input)) {
+        return { error: `${label} must be a list.` };
+      }
+      const values = [];
+      for (const item of input) {
+        const result = coerceField(rule.items, item, `Each entry of ${label.toLowerCase()}`);
+        if (result.error) {
+          return result;
+        }
+        if (rule.items.type === 'object' || !values.includes(result.value)) {
+          values.push(result.value);
+        }
+      }
+      if (rule.required && values.length === 0) {
+        return { error: `${label} must have at least one entry.` };
+      }
+      return { value: values };
+    }
+
+    // Nested fields, checked against rule.schema
+    case 'object': {
+      if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: `${label} must be an object.` };
+      }
+      const { value, errors } = validateSchema(rule.schema, input);
+      if (errors) {
+        return { error: `${label}: ${Object.values(errors).join(' ')}` };
+      }
+      return { value };
+    }
+
+    case 'email': {
+      const value = typeof input === 'string' ? input.trim().toLowerCase() : '';
+      if (!EMAIL_PATTERN.test(value)) {
+        return { error: `${label} must be a valid email address.` };
+      }
+      return { value };
+    }
+
+    default:
+      throw new Error(`Unknown schema type '${rule.type}'.`);
+  }
+};
+
+// Check input against a schema of { field: { type, required, label, ... } }.
+// Fields not in the schema are dropped and values are coerced to their type
+// ('12' -> 12 for numbers, phones to E.164, dates to ISO strings or
+// 'YYYY-MM-DD' days, times to 'HH:MM').
+// With partial (updates), required fields may be left out but not emptied.
+// Optional fields can be cleared with '' (strings) or null.
+// Returns { value } or { errors: { field: message } }.
+export const validateSchema = (schema, input, { partial = false } = {}) => {
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const value = {};
+  const errors = {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const label = rule.label || toLabel(field);
+    const raw = source[field];
+    const isEmpty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (isEmpty) {
+      if (rule.required && (!partial || raw !== undefined)) {
+        errors[field] = `${label} is required.`;
+      } else if (raw === null) {
+        value[field] = null;
+      } else if (raw !== undefined) {
+        value[field] = rule.type === 'string' ? '' : null;
+      }
+      return;
+    }
+
+    const result = coerceField(rule, raw, label);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+};
+
+// A schema limited to some of its fields
+export const pickSchema = (schema, fields) =>
+  Object.fromEntries(fields.map(field => [field, schema[field]]));
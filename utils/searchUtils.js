@@ -0,0 +1,45 @@
+import { academyConfig } from '../config/academy.js';
+
+// Longer prefixes are rarely typed and only make the token list bigger
+const MAX_TOKEN_LENGTH = 20;
+
+const addPrefixes = (tokens, text) => {
+  for (let i = 1; i <= Math.min(text.length, MAX_TOKEN_LENGTH); i++) {
+    tokens.add(text.slice(0, i));
+  }
+};
+
+// Lowercase prefixes of a record's name (whole name and each word) and phone
+// (with and without the country code), stored as searchTokens so a prefix
+// search is a single array-contains filter that combines with other filters.
+export const buildSearchTokens = ({ name, phone }) => {
+  const tokens = new Set();
+
+  const normalizedName = String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (normalizedName) {
+    addPrefixes(tokens, normalizedName);
+    normalizedName.split(' ').forEach(word => addPrefixes(tokens, word));
+  }
+
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits) {
+    addPrefixes(tokens, digits);
+    if (digits.startsWith(academyConfig.phoneCountryCode)) {
+      addPrefixes(tokens, digits.slice(academyConfig.phoneCountryCode.length));
+    }
+  }
+
+  return [...tokens];
+};
+
+// Turn what the user typed into the token to look up, or null if it is empty.
+// Phone-like input keeps only the digits (without a trunk 0).
+export const normalizeSearchTerm = (term) => {
+  const text = String(term || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+  if (/^\+?[\d\s()-]+$/.test(text)) {
+    return text.replace(/\D/g, '').replace(/^0+/, '').slice(0, MAX_TOKEN_LENGTH) || null;
+  }
+
+  return text.slice(0, MAX_TOKEN_LENGTH) || null;
+};